@@ -8,18 +8,47 @@ const { v4: uuidv4 } = require("uuid");
 const mysql = require("mysql2/promise");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const nodemailer = require("nodemailer");
+const multer = require("multer");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { createTokenCipher } = require("./strava-token-crypto");
+const { OBJECT_REPEAT_MODES, getObjectAwards } = require("./object-cards");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || "";
-const STRAVA_CLIENT_ID = process.env.STRAVA_CLIENT_ID || "";
-const STRAVA_CLIENT_SECRET = process.env.STRAVA_CLIENT_SECRET || "";
-const STRAVA_REDIRECT_URI = process.env.STRAVA_REDIRECT_URI || "";
-const STRAVA_WEBHOOK_VERIFY_TOKEN = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN || "";
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+const MAIL_FROM = process.env.MAIL_FROM || "NaTrack <no-reply@natrack.local>";
+const MAIL_FILE_PATH = process.env.MAIL_FILE_PATH || path.join(__dirname, "mail-outbox.log");
+const PASSWORD_RESET_TTL_MIN = Number(process.env.PASSWORD_RESET_TTL_MIN || 30);
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REQUIRE_ADMIN_2FA = String(process.env.REQUIRE_ADMIN_2FA || "") === "1";
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "NaTrack";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24);
+// STRAVA_STUB=1: aucun appel reseau, Strava est simule en memoire (tests / dev local)
+const STRAVA_STUB = String(process.env.STRAVA_STUB || "") === "1";
+const STRAVA_CLIENT_ID = process.env.STRAVA_CLIENT_ID || (STRAVA_STUB ? "stub" : "");
+const STRAVA_CLIENT_SECRET = process.env.STRAVA_CLIENT_SECRET || (STRAVA_STUB ? "stub" : "");
+const STRAVA_REDIRECT_URI = process.env.STRAVA_REDIRECT_URI || (STRAVA_STUB ? `http://localhost:${PORT}/strava/callback` : "");
+const STRAVA_WEBHOOK_VERIFY_TOKEN = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN || (STRAVA_STUB ? "stub" : "");
+const STRAVA_WEBHOOK_CALLBACK_URL =
+  process.env.STRAVA_WEBHOOK_CALLBACK_URL || STRAVA_REDIRECT_URI.replace(/\/strava\/callback$/, "/strava/webhook");
+const STRAVA_TOKEN_KEYS = process.env.STRAVA_TOKEN_KEYS || "";
+const STRAVA_EVENT_MAX_ATTEMPTS = Number(process.env.STRAVA_EVENT_MAX_ATTEMPTS || 8);
+const STRAVA_EVENT_RETRY_BASE_S = Number(process.env.STRAVA_EVENT_RETRY_BASE_S || 30);
+const STRAVA_EVENT_POLL_MS = Number(process.env.STRAVA_EVENT_POLL_MS || 5000);
+const STRAVA_TOKEN_KEY_ID = process.env.STRAVA_TOKEN_KEY_ID || "";
 const STRAVA_POST_AUTH_REDIRECT =
   process.env.STRAVA_POST_AUTH_REDIRECT ||
   (process.env.CORS_ORIGIN || "").split(",").map((s) => s.trim()).filter(Boolean)[0] ||
   "";
+const PASSWORD_RESET_URL =
+  process.env.PASSWORD_RESET_URL ||
+  `${(process.env.CORS_ORIGIN || "").split(",").map((s) => s.trim()).filter(Boolean)[0] || ""}/reset-password`;
 
 /* =========================
    CORS (prod + dev)
@@ -38,13 +67,27 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "Idempotency-Key"],
+  exposedHeaders: ["Retry-After", "Idempotent-Replayed"],
 };
 
 app.use(cors(corsOptions));
 app.options("*", cors(corsOptions));
 
-app.use(express.json());
+// Derriere un reverse proxy (nginx...), necessaire pour que req.ip soit l'IP client
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust === "true" ? true : trust);
+}
+
+// Corps brut conserve pour l'empreinte Idempotency-Key
+function captureRawBody(req, _res, buf) {
+  req.rawBody = buf;
+}
+// L'import en masse a son propre parser JSON (limite 5 Mo, comme le CSV)
+const BULK_IMPORT_PATH = /^(\/api)?\/me\/sessions\/bulk\/?$/;
+const jsonParser = express.json({ verify: captureRawBody });
+app.use((req, res, next) => (BULK_IMPORT_PATH.test(req.path) ? next() : jsonParser(req, res, next)));
 
 /* =========================
    MySQL pool
@@ -71,27 +114,465 @@ function getBearerToken(req) {
 
 function signToken(user) {
   if (!JWT_SECRET) return null;
-  return jwt.sign({ id: user.id, role: user.role, email: user.email }, JWT_SECRET, {
-    expiresIn: "14d",
-  });
+  return jwt.sign(
+    { id: user.id, role: user.role, email: user.email, tv: Number(user.token_version) || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function createRefreshToken(userId, familyId = null, db = pool) {
+  const id = uuidv4();
+  const token = crypto.randomBytes(48).toString("base64url");
+  await db.query(
+    "INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at) " +
+      "VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))",
+    [id, userId, familyId || id, hashToken(token), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { id, token };
+}
+
+async function revokeRefreshTokens(userId, db = pool) {
+  await db.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+    [userId]
+  );
+}
+
+// Access token court + refresh token rotatif (nouvelle famille a chaque login)
+async function issueAuthTokens(user) {
+  const token = signToken(user);
+  if (!token) return null;
+  const refresh = await createRefreshToken(user.id);
+  return { token, refresh_token: refresh.token };
+}
+
+/* =========================
+   Cles API personnelles (header X-API-Key)
+   - GET => scope "read", ecriture => scope declare par la route via apiKeyScope()
+   ========================= */
+const API_KEY_SCOPES = new Set(["read", "sessions:write"]);
+
+function parseApiKeyScopes(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => API_KEY_SCOPES.has(s));
+}
+
+function generateApiKey() {
+  return `ntk_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function apiKeyScope(scope) {
+  return (req, _res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+}
+
+async function authenticateApiKey(req, res, next, rawKey) {
+  try {
+    const [rows] = await pool.query(
+      "SELECT k.id, k.user_id, k.scopes, u.email, u.role, u.is_bot " +
+        "FROM api_keys k JOIN users u ON u.id = k.user_id " +
+        "WHERE k.key_hash = ? AND k.revoked_at IS NULL LIMIT 1",
+      [hashToken(rawKey)]
+    );
+    const key = rows?.[0];
+    if (!key || key.is_bot) return res.status(401).json({ error: "invalid_api_key" });
+
+    const scopes = parseApiKeyScopes(key.scopes);
+    const needed = req.apiKeyScope || (req.method === "GET" ? "read" : null);
+    if (!needed || !scopes.includes(needed)) return res.status(403).json({ error: "insufficient_scope" });
+
+    await pool.query(
+      "UPDATE api_keys SET last_used_at = NOW() " +
+        "WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE))",
+      [key.id]
+    );
+    req.user = { id: key.user_id, email: key.email, role: key.role };
+    req.apiKey = { id: key.id, scopes };
+    return next();
+  } catch (e) {
+    console.error("authenticateApiKey error:", e);
+    return res.status(500).json({ error: "auth_error" });
+  }
 }
 
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
+  const apiKey = req.get("x-api-key");
+  if (apiKey && !getBearerToken(req)) return authenticateApiKey(req, res, next, apiKey);
+
+  let payload = null;
   try {
     const token = getBearerToken(req);
     if (!token) return res.status(401).json({ error: "unauthorized" });
     if (!JWT_SECRET) return res.status(500).json({ error: "missing_jwt_secret" });
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    return next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ error: "unauthorized" });
   }
+  try {
+    // token_version est incremente au changement de mot de passe / logout-all,
+    // et le role vient toujours de la DB (une retrogradation s'applique tout de suite)
+    const [rows] = await pool.query(
+      "SELECT role, token_version, totp_enabled FROM users WHERE id = ? LIMIT 1",
+      [payload.id]
+    );
+    const row = rows?.[0];
+    if (!row) return res.status(401).json({ error: "unauthorized" });
+    if ((Number(row.token_version) || 0) !== (Number(payload.tv) || 0)) {
+      return res.status(401).json({ error: "token_revoked" });
+    }
+    req.user = { ...payload, role: row.role, totp_enabled: !!row.totp_enabled };
+    return next();
+  } catch (e) {
+    console.error("requireAuth error:", e);
+    return res.status(500).json({ error: "auth_error" });
+  }
+}
+
+/* =========================
+   Idempotency-Key (ecritures sous /me/* et /users/:userId/sessions)
+   - middleware de route, apres requireAuth et le parsing du body (json, text, multer)
+   - cle scopee par user, conservee IDEMPOTENCY_KEY_TTL_HOURS (purge periodique)
+   - meme cle + meme requete => reponse d'origine rejouee (header Idempotent-Replayed)
+   - meme cle + requete differente => 409; reponses 5xx non conservees (retry possible)
+   - une cle restee 'processing' (crash, client coupe) est liberee apres IDEMPOTENCY_STALE_MIN
+   - routes qui renvoient un secret (applySecretIdempotencyKey): seul le statut est conserve,
+     un rejeu repond 409 au lieu de renvoyer le corps
+   ========================= */
+const IDEMPOTENCY_STALE_MIN = 5;
+const IDEMPOTENCY_PURGE_MS = 60 * 60 * 1000;
+
+// Empreinte du corps brut: octets JSON (req.rawBody), texte CSV, ou fichier + champs multipart
+function hashIdempotentRequest(req) {
+  const hash = crypto.createHash("sha256");
+  hash.update(JSON.stringify({ method: req.method, path: req.path, query: req.query || {} }));
+  if (req.file?.buffer) {
+    hash.update(JSON.stringify({ name: req.file.originalname || null, fields: req.body || {} }));
+    hash.update(req.file.buffer);
+  } else if (req.rawBody) {
+    hash.update(req.rawBody);
+  } else if (typeof req.body === "string") {
+    hash.update(req.body);
+  } else {
+    hash.update(JSON.stringify(req.body ?? null));
+  }
+  return hash.digest("hex");
+}
+
+async function applyIdempotencyKey(req, res, next, { storeBody = true } = {}) {
+  const key = req.get("idempotency-key");
+  if (typeof key === "undefined") return next();
+  const cleanKey = String(key).trim();
+  if (!cleanKey || cleanKey.length > 255) return res.status(400).json({ error: "Idempotency-Key invalide" });
+
+  const requestHash = hashIdempotentRequest(req);
+  try {
+    try {
+      await pool.query(
+        "INSERT INTO idempotency_keys (user_id, idem_key, method, path, request_hash, status, expires_at) " +
+          "VALUES (?, ?, ?, ?, ?, 'processing', DATE_ADD(NOW(), INTERVAL ? HOUR))",
+        [req.user.id, cleanKey, req.method, req.path, requestHash, IDEMPOTENCY_KEY_TTL_HOURS]
+      );
+    } catch (e) {
+      if (e?.code !== "ER_DUP_ENTRY") throw e;
+      const [rows] = await pool.query(
+        "SELECT request_hash, status, response_status, response_body, " +
+          "created_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE) AS stale, expires_at <= NOW() AS expired " +
+          "FROM idempotency_keys WHERE user_id = ? AND idem_key = ? LIMIT 1",
+        [IDEMPOTENCY_STALE_MIN, req.user.id, cleanKey]
+      );
+      const stored = rows?.[0];
+      if (!stored) return res.status(409).json({ error: "idempotency_key_in_progress" });
+      // Cle expiree pas encore purgee: consideree comme absente
+      if (Number(stored.expired)) {
+        await pool.query(
+          "DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ? AND expires_at <= NOW()",
+          [req.user.id, cleanKey]
+        );
+        return applyIdempotencyKey(req, res, next, { storeBody });
+      }
+      if (stored.request_hash !== requestHash) return res.status(409).json({ error: "idempotency_key_mismatch" });
+      if (stored.status !== "completed" && Number(stored.stale)) {
+        await pool.query(
+          "DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ? AND status = 'processing'",
+          [req.user.id, cleanKey]
+        );
+        return applyIdempotencyKey(req, res, next, { storeBody });
+      }
+      if (stored.status !== "completed") return res.status(409).json({ error: "idempotency_key_in_progress" });
+      if (!storeBody) return res.status(409).json({ error: "idempotency_key_already_used" });
+      res.set("Idempotent-Replayed", "true");
+      res.status(Number(stored.response_status) || 200);
+      return stored.response_body === null ? res.end() : res.json(JSON.parse(stored.response_body));
+    }
+  } catch (e) {
+    console.error("applyIdempotencyKey error:", e);
+    return res.status(500).json({ error: "idempotency_error" });
+  }
+
+  let responseBody = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+  res.on("close", () => {
+    const query =
+      !res.writableFinished || res.statusCode >= 500
+        ? pool.query("DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ?", [req.user.id, cleanKey])
+        : pool.query(
+            "UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ? " +
+              "WHERE user_id = ? AND idem_key = ?",
+            [
+              res.statusCode,
+              !storeBody || typeof responseBody === "undefined" || responseBody === null
+                ? null
+                : JSON.stringify(responseBody),
+              req.user.id,
+              cleanKey,
+            ]
+          );
+    query.catch((e) => console.error("applyIdempotencyKey store error:", e));
+  });
+  return next();
+}
+
+// Cle API, secret TOTP, codes de secours, tokens: jamais stockes en clair dans idempotency_keys
+function applySecretIdempotencyKey(req, res, next) {
+  return applyIdempotencyKey(req, res, next, { storeBody: false });
+}
+
+function startIdempotencyKeyPurge() {
+  const tick = () =>
+    pool
+      .query("DELETE FROM idempotency_keys WHERE expires_at <= NOW()")
+      .catch((e) => console.error("purgeIdempotencyKeys error:", e));
+  setInterval(tick, IDEMPOTENCY_PURGE_MS).unref();
+  tick();
 }
 
 function requireAdmin(req, res, next) {
-  if (req.user?.role === "admin") return next();
-  return res.status(403).json({ error: "forbidden" });
+  if (req.apiKey) return res.status(403).json({ error: "forbidden" });
+  if (req.user?.role !== "admin") return res.status(403).json({ error: "forbidden" });
+  if (REQUIRE_ADMIN_2FA && !req.user.totp_enabled) return res.status(403).json({ error: "two_factor_required" });
+  return next();
+}
+
+/* =========================
+   2FA (TOTP RFC 6238, SHA1 / 6 chiffres / 30 s)
+   ========================= */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SECONDS = 30;
+const RECOVERY_CODES_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(input) {
+  const clean = String(input || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpCodeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 1000000).padStart(6, "0");
+}
+
+// Renvoie le pas de temps valide (fenetre +/- 1) ou null
+function verifyTotp(secret, code, lastStep = null) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(clean)) return null;
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let step = current - 1; step <= current + 1; step += 1) {
+    if (lastStep !== null && lastStep !== undefined && step <= Number(lastStep)) continue;
+    const expected = totpCodeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i += 1) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").trim().toLowerCase().replace(/[^a-f0-9]/g, "");
+}
+
+function createTwoFactorChallenge(userId) {
+  if (!JWT_SECRET) return null;
+  return jwt.sign({ twofa_user_id: userId }, JWT_SECRET, { expiresIn: "5m" });
+}
+
+function parseTwoFactorChallenge(token) {
+  if (!JWT_SECRET) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload?.twofa_user_id || null;
+  } catch {
+    return null;
+  }
+}
+
+// Verifie un code TOTP ou un code de secours, et le consomme
+async function consumeSecondFactor(user, { code, recovery_code }) {
+  if (recovery_code) {
+    const [result] = await pool.query(
+      "UPDATE user_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+      [user.id, hashToken(normalizeRecoveryCode(recovery_code))]
+    );
+    return result.affectedRows > 0;
+  }
+  const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+  if (step === null) return false;
+  const [result] = await pool.query(
+    "UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+    [step, user.id, step]
+  );
+  return result.affectedRows > 0;
+}
+
+/* =========================
+   Mailer (console | file | smtp)
+   - MAIL_TRANSPORT=console par defaut, pas besoin de SMTP en local
+   - console / file ecrivent les liens de reinitialisation en clair: refuses avec NODE_ENV=production
+   ========================= */
+function createMailer() {
+  const transport = String(MAIL_TRANSPORT).toLowerCase();
+
+  if (transport === "smtp") {
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: String(process.env.SMTP_SECURE || "") === "1",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+    return {
+      async send({ to, subject, text }) {
+        await smtp.sendMail({ from: MAIL_FROM, to, subject, text });
+      },
+    };
+  }
+
+  if (IS_PRODUCTION) {
+    console.error(
+      `MAIL_TRANSPORT=${transport} refuse en production (liens de reinitialisation en clair): configurer MAIL_TRANSPORT=smtp. Aucun mail ne sera envoye.`
+    );
+    return {
+      async send() {
+        throw new Error(`mail_transport_disabled: ${transport}`);
+      },
+    };
+  }
+
+  if (transport === "file") {
+    return {
+      async send({ to, subject, text }) {
+        const line = JSON.stringify({ at: new Date().toISOString(), from: MAIL_FROM, to, subject, text });
+        await fs.promises.appendFile(MAIL_FILE_PATH, line + "\n", "utf-8");
+      },
+    };
+  }
+
+  return {
+    async send({ to, subject, text }) {
+      console.log(`[mail] to=${to} subject=${subject}\n${text}`);
+    },
+  };
+}
+
+const mailer = createMailer();
+
+/* =========================
+   Inscription (codes d'invitation)
+   ========================= */
+const PASSWORD_MIN_LENGTH = 8;
+
+function normalizeEmail(input) {
+  return String(input || "").trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function generateInviteCode() {
+  return crypto.randomBytes(6).toString("hex").toUpperCase();
+}
+
+const AUTH_USER_SELECT =
+  "SELECT id, email, name, description, avg_distance_m, role, password_hash, token_version, " +
+  "totp_enabled, totp_secret, totp_last_step, shoe_name, card_image, is_bot, bot_color, bot_border_color, " +
+  "bot_card_type, DATE_FORMAT(bot_event_date, '%Y-%m-%d') AS bot_event_date, bot_drop_rate, bot_target_distance_m, " +
+  "DATE_FORMAT(shoe_start_date, '%Y-%m-%d') AS shoe_start_date, " +
+  "shoe_target_km FROM users";
+
+function mapAuthUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    avg_distance_m: user.avg_distance_m ?? null,
+    description: user.description || null,
+    role: user.role,
+    is_bot: !!user.is_bot,
+    bot_color: user.bot_color || null,
+    bot_border_color: user.bot_border_color || null,
+    bot_card_type: user.bot_card_type || null,
+    bot_event_date: user.bot_event_date || null,
+    bot_drop_rate: user.bot_drop_rate ?? null,
+    bot_target_distance_m: user.bot_target_distance_m ?? null,
+    bot_season_int: user.bot_season_int ?? null,
+    shoe_name: user.shoe_name || null,
+    card_image: user.card_image || null,
+    shoe_start_date: user.shoe_start_date || null,
+    shoe_target_km: user.shoe_target_km ?? null,
+  };
 }
 
 
@@ -105,6 +586,18 @@ function toMysqlDateTime(value) {
 }
 
 
+// Date/heure saisie (ISO avec ou sans fuseau) => DATETIME dans le fuseau du serveur (celui de NOW() en DB).
+// Une valeur avec "Z" / "+02:00" est convertie, une valeur sans fuseau est prise telle quelle. null si invalide.
+function toLocalMysqlDateTime(value) {
+  const str = String(value || "").trim();
+  const match = str.match(/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (!match) return null;
+  const iso = str.length === 10 ? `${str}T00:00:00` : str.replace(" ", "T");
+  const date = new Date(match[1] ? iso.replace(/([+-]\d{2})(\d{2})$/, "$1:$2") : iso);
+  if (Number.isNaN(date.getTime())) return null;
+  return formatLocalDateTime(date);
+}
+
 function isValidDateString(value) {
   return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ""));
 }
@@ -227,6 +720,124 @@ async function rebuildChallengeStats(pool, from, to) {
   }
 }
 
+/* =========================
+   Strava: client HTTP (reel ou stub)
+   - toutes les requetes vers Strava passent par stravaFetch
+   - en mode stub: tokens, activites et abonnement push sont gardes en memoire
+   ========================= */
+const STRAVA_API_URL = "https://www.strava.com";
+
+const stravaStub = {
+  tokens: new Map(),
+  activities: new Map(),
+  subscription: null,
+  nextActivityId: 1,
+  lastEventTime: 0,
+};
+
+function stubStravaResponse(status, data) {
+  return new Response(data === null ? null : JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// Athlete stub stable par user (evite les collisions sur uniq_strava_athlete)
+function getStubAthleteId(userId) {
+  return parseInt(crypto.createHash("sha256").update(String(userId)).digest("hex").slice(0, 8), 16);
+}
+
+function stubStravaTokens(athleteId) {
+  const tokens = {
+    token_type: "Bearer",
+    access_token: `stub_access_${crypto.randomBytes(8).toString("hex")}`,
+    refresh_token: `stub_refresh_${crypto.randomBytes(8).toString("hex")}`,
+    expires_at: Math.floor(Date.now() / 1000) + 6 * 3600,
+  };
+  stravaStub.tokens.set(tokens.access_token, athleteId);
+  stravaStub.tokens.set(tokens.refresh_token, athleteId);
+  return tokens;
+}
+
+// Deauthorization simulee: Strava n'accepte plus aucun token de l'athlete
+function revokeStubStravaTokens(athleteId) {
+  for (const [token, owner] of stravaStub.tokens) {
+    if (owner === athleteId) stravaStub.tokens.delete(token);
+  }
+}
+
+function stubStravaFetch(url, options = {}) {
+  const u = new URL(url);
+  const method = String(options.method || "GET").toUpperCase();
+  const auth = String(options.headers?.Authorization || "").replace(/^Bearer /, "");
+  const athleteId = stravaStub.tokens.get(auth) || null;
+
+  if (u.pathname === "/oauth/token" && method === "POST") {
+    const params = new URLSearchParams(options.body);
+    if (params.get("grant_type") === "authorization_code") {
+      const match = /^stub_(\d+)$/.exec(params.get("code") || "");
+      if (!match) return stubStravaResponse(400, { message: "Bad Request" });
+      const id = Number(match[1]);
+      return stubStravaResponse(200, { ...stubStravaTokens(id), athlete: { id } });
+    }
+    const owner = stravaStub.tokens.get(params.get("refresh_token"));
+    if (!owner) return stubStravaResponse(400, { message: "Bad Request" });
+    return stubStravaResponse(200, stubStravaTokens(owner));
+  }
+
+  const activityMatch = /^\/api\/v3\/activities\/(\d+)$/.exec(u.pathname);
+  if (activityMatch && method === "GET") {
+    if (!athleteId) return stubStravaResponse(401, { message: "Authorization Error" });
+    const activity = stravaStub.activities.get(activityMatch[1]);
+    if (!activity || activity.athlete.id !== athleteId) return stubStravaResponse(404, { message: "Record Not Found" });
+    return stubStravaResponse(200, activity);
+  }
+
+  if (u.pathname === "/api/v3/athlete/activities" && method === "GET") {
+    if (!athleteId) return stubStravaResponse(401, { message: "Authorization Error" });
+    const after = Number(u.searchParams.get("after")) || 0;
+    const page = Math.max(Number(u.searchParams.get("page")) || 1, 1);
+    const perPage = Math.max(Number(u.searchParams.get("per_page")) || 30, 1);
+    const list = [...stravaStub.activities.values()]
+      .filter((a) => a.athlete.id === athleteId && new Date(a.start_date).getTime() / 1000 > after)
+      .sort((a, b) => (a.start_date < b.start_date ? -1 : 1));
+    return stubStravaResponse(200, list.slice((page - 1) * perPage, page * perPage));
+  }
+
+  if (u.pathname === "/api/v3/push_subscriptions") {
+    if (method === "GET") return stubStravaResponse(200, stravaStub.subscription ? [stravaStub.subscription] : []);
+    if (method === "POST") {
+      if (stravaStub.subscription) return stubStravaResponse(400, { message: "Bad Request", errors: [{ code: "already exists" }] });
+      const params = new URLSearchParams(options.body);
+      const now = new Date().toISOString();
+      stravaStub.subscription = {
+        id: 1,
+        application_id: STRAVA_CLIENT_ID,
+        callback_url: params.get("callback_url"),
+        created_at: now,
+        updated_at: now,
+      };
+      return stubStravaResponse(201, { id: stravaStub.subscription.id });
+    }
+  }
+  const subMatch = /^\/api\/v3\/push_subscriptions\/(\d+)$/.exec(u.pathname);
+  if (subMatch && method === "DELETE") {
+    if (!stravaStub.subscription || String(stravaStub.subscription.id) !== subMatch[1]) {
+      return stubStravaResponse(404, { message: "Resource Not Found" });
+    }
+    stravaStub.subscription = null;
+    return stubStravaResponse(204, null);
+  }
+
+  return stubStravaResponse(404, { message: "Resource Not Found" });
+}
+
+async function stravaFetch(path, options = {}) {
+  const url = `${STRAVA_API_URL}${path}`;
+  if (STRAVA_STUB) return stubStravaFetch(url, options);
+  return fetch(url, options);
+}
+
 function createStravaState(userId) {
   if (!JWT_SECRET) return null;
   return jwt.sign({ strava_user_id: userId }, JWT_SECRET, { expiresIn: "10m" });
@@ -243,15 +854,16 @@ function parseStravaState(state) {
 }
 
 async function stravaTokenRequest(params) {
-  const res = await fetch("https://www.strava.com/oauth/token", {
+  const res = await stravaFetch("/oauth/token", {
     method: "POST",
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     body: new URLSearchParams(params),
   });
   const data = await res.json();
   if (!res.ok) {
-    const msg = data?.message || "strava_token_error";
-    throw new Error(msg);
+    const err = new Error(data?.message || "strava_token_error");
+    err.status = res.status;
+    throw err;
   }
   return data;
 }
@@ -279,40 +891,72 @@ async function exchangeStravaCode({ code, state }) {
   return { userId, athleteId };
 }
 
+/* =========================
+   Strava: chiffrement des tokens (AES-256-GCM, voir strava-token-crypto.js)
+   - token_key_id NULL en base = token en clair (lignes pas encore migrees)
+   ========================= */
+const stravaTokenCipher = createTokenCipher(STRAVA_TOKEN_KEYS, STRAVA_TOKEN_KEY_ID);
+const stravaTokenKeyId = stravaTokenCipher.activeKeyId;
+if (!stravaTokenKeyId) console.warn("STRAVA_TOKEN_KEYS absent: tokens Strava stockes en clair");
+
+function encryptStravaToken(plain, keyId = stravaTokenKeyId) {
+  return stravaTokenCipher.encrypt(plain, keyId);
+}
+
+function decryptStravaToken(value, keyId) {
+  return stravaTokenCipher.decrypt(value, keyId);
+}
+
+function mapStravaAccountRow(row) {
+  if (!row) return null;
+  return {
+    user_id: row.user_id,
+    athlete_id: row.athlete_id,
+    access_token: decryptStravaToken(row.access_token, row.token_key_id),
+    refresh_token: decryptStravaToken(row.refresh_token, row.token_key_id),
+    expires_at: row.expires_at,
+  };
+}
+
 async function upsertStravaAccount({ userId, athleteId, accessToken, refreshToken, expiresAt }) {
   await pool.query(
-    "INSERT INTO strava_accounts (user_id, athlete_id, access_token, refresh_token, expires_at, created_at, updated_at) " +
-      "VALUES (?, ?, ?, ?, ?, NOW(), NOW()) " +
+    "INSERT INTO strava_accounts (user_id, athlete_id, access_token, refresh_token, token_key_id, expires_at, created_at, updated_at) " +
+      "VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW()) " +
       "ON DUPLICATE KEY UPDATE athlete_id = VALUES(athlete_id), access_token = VALUES(access_token), " +
-      "refresh_token = VALUES(refresh_token), expires_at = VALUES(expires_at), updated_at = NOW()",
-    [userId, athleteId, accessToken, refreshToken, expiresAt]
+      "refresh_token = VALUES(refresh_token), token_key_id = VALUES(token_key_id), expires_at = VALUES(expires_at), " +
+      "revoked_at = NULL, updated_at = NOW()",
+    [
+      userId,
+      athleteId,
+      encryptStravaToken(accessToken),
+      encryptStravaToken(refreshToken),
+      stravaTokenKeyId,
+      expiresAt,
+    ]
   );
 }
 
+// Les comptes revoques (deauth cote Strava) sont conserves pour /strava/status mais ignores ici
 async function getStravaAccountByAthlete(athleteId) {
   const [rows] = await pool.query(
-    "SELECT user_id, athlete_id, access_token, refresh_token, expires_at " +
-      "FROM strava_accounts WHERE athlete_id = ? LIMIT 1",
+    "SELECT user_id, athlete_id, access_token, refresh_token, token_key_id, expires_at " +
+      "FROM strava_accounts WHERE athlete_id = ? AND revoked_at IS NULL LIMIT 1",
     [athleteId]
   );
-  return rows?.[0] || null;
+  return mapStravaAccountRow(rows?.[0]);
 }
 
 async function getStravaAccountByUser(userId) {
   const [rows] = await pool.query(
-    "SELECT user_id, athlete_id, access_token, refresh_token, expires_at " +
-      "FROM strava_accounts WHERE user_id = ? LIMIT 1",
+    "SELECT user_id, athlete_id, access_token, refresh_token, token_key_id, expires_at " +
+      "FROM strava_accounts WHERE user_id = ? AND revoked_at IS NULL LIMIT 1",
     [userId]
   );
-  return rows?.[0] || null;
+  return mapStravaAccountRow(rows?.[0]);
 }
 
-async function ensureStravaAccessByAthlete(athleteId) {
-  const account = await getStravaAccountByAthlete(athleteId);
-  if (!account) return null;
-  const now = Math.floor(Date.now() / 1000);
-  if (account.expires_at && Number(account.expires_at) > now + 60) return account;
-  if (!STRAVA_CLIENT_ID || !STRAVA_CLIENT_SECRET || !account.refresh_token) return account;
+// Nouveau couple de tokens via le refresh_token (Strava peut le faire tourner: toujours re-stocke)
+async function refreshStravaAccount(account) {
   const refreshed = await stravaTokenRequest({
     client_id: STRAVA_CLIENT_ID,
     client_secret: STRAVA_CLIENT_SECRET,
@@ -336,33 +980,59 @@ async function ensureStravaAccessByAthlete(athleteId) {
   };
 }
 
+// Un payload webhook "authorized: false" n'est pas authentifie: la deauthorization est confirmee
+// par Strava, qui refuse alors le refresh_token (400 / 401)
+async function isStravaAccessRevoked(account) {
+  if (!account.refresh_token) return true;
+  if (!STRAVA_CLIENT_ID || !STRAVA_CLIENT_SECRET) throw new Error("missing_strava_config");
+  try {
+    await refreshStravaAccount(account);
+    return false;
+  } catch (e) {
+    if (e.status === 400 || e.status === 401) return true;
+    throw e;
+  }
+}
+
+// Deauthorization Strava: tokens effaces, compte marque revoque, backfills stoppes
+async function revokeStravaAccount(athleteId) {
+  const account = await getStravaAccountByAthlete(athleteId);
+  if (!account) return null;
+  await pool.query(
+    "UPDATE strava_accounts SET access_token = '', refresh_token = '', token_key_id = NULL, expires_at = 0, revoked_at = NOW() " +
+      "WHERE user_id = ? AND revoked_at IS NULL",
+    [account.user_id]
+  );
+  await pool.query(
+    "UPDATE strava_backfill_jobs SET status = 'failed', last_error = 'strava_revoked', retry_at = NULL " +
+      "WHERE user_id = ? AND status IN ('running','waiting')",
+    [account.user_id]
+  );
+  await createNotification(account.user_id, {
+    type: "strava_revoked",
+    title: "Strava déconnecté",
+    body: "L'accès de NaTrack à ton compte Strava a été révoqué. Reconnecte Strava pour reprendre l'import.",
+    meta: { athlete_id: account.athlete_id },
+  });
+  return account.user_id;
+}
+
+async function ensureStravaAccessByAthlete(athleteId) {
+  const account = await getStravaAccountByAthlete(athleteId);
+  if (!account) return null;
+  const now = Math.floor(Date.now() / 1000);
+  if (account.expires_at && Number(account.expires_at) > now + 60) return account;
+  if (!STRAVA_CLIENT_ID || !STRAVA_CLIENT_SECRET || !account.refresh_token) return account;
+  return refreshStravaAccount(account);
+}
+
 async function ensureStravaAccessByUser(userId) {
   const account = await getStravaAccountByUser(userId);
   if (!account) return null;
   const now = Math.floor(Date.now() / 1000);
   if (account.expires_at && Number(account.expires_at) > now + 60) return account;
   if (!STRAVA_CLIENT_ID || !STRAVA_CLIENT_SECRET || !account.refresh_token) return account;
-  const refreshed = await stravaTokenRequest({
-    client_id: STRAVA_CLIENT_ID,
-    client_secret: STRAVA_CLIENT_SECRET,
-    grant_type: "refresh_token",
-    refresh_token: account.refresh_token,
-  });
-  const athleteIdNext = refreshed?.athlete?.id || account.athlete_id;
-  await upsertStravaAccount({
-    userId: account.user_id,
-    athleteId: athleteIdNext,
-    accessToken: refreshed.access_token,
-    refreshToken: refreshed.refresh_token,
-    expiresAt: refreshed.expires_at,
-  });
-  return {
-    user_id: account.user_id,
-    athlete_id: athleteIdNext,
-    access_token: refreshed.access_token,
-    refresh_token: refreshed.refresh_token,
-    expires_at: refreshed.expires_at,
-  };
+  return refreshStravaAccount(account);
 }
 
 async function getActiveSeasonInfo() {
@@ -385,13 +1055,299 @@ async function getActiveSeasonInfo() {
   return active;
 }
 
-
 /* =========================
-   Bloquer la navigation directe (GET document) => 204
+   Saisons: classement + bascule
+   - une saison couvre [start_date, start_date de la suivante[
+   - a l'activation d'une saison: classement final de la precedente fige,
+     badges de fin de saison, annonce des bots de la nouvelle saison
    ========================= */
-function blockBrowserNav(req, res, next) {
-  try {
-    if (req.method === "GET" && req.path !== "/health") {
+const SEASON_ROLLOVER_CHECK_MS = 60 * 60 * 1000;
+// Annonce envoyee seulement si la saison a commence recemment (evite une annonce tardive au deploiement)
+const SEASON_ROLLOVER_NOTIFY_DAYS = 7;
+const SEASON_PODIUM_SIZE = 3;
+
+async function getSeasonRange(seasonNumber, db = pool) {
+  const [rows] = await db.query(
+    "SELECT season_number, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons WHERE season_number = ?",
+    [seasonNumber]
+  );
+  const season = rows?.[0];
+  if (!season) return null;
+  const [nextRows] = await db.query(
+    "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons " +
+      "WHERE start_date > ? ORDER BY start_date ASC LIMIT 1",
+    [season.start_date]
+  );
+  return {
+    season_number: season.season_number,
+    start_date: season.start_date,
+    // Borne exclusive (null = saison en cours, sans fin)
+    end_date: nextRows?.[0]?.start_date || null,
+  };
+}
+
+// Criteres de classement (colonne de tri; le rang final d'une saison est toujours a la distance)
+const SEASON_LEADERBOARD_SORTS = {
+  distance: "distance_m",
+  sessions: "sessions",
+  cards: "cards_total",
+  challenges: "challenges_completed",
+};
+const SEASON_LEADERBOARD_CACHE_MS = 60 * 1000;
+const seasonLeaderboardCache = new Map();
+
+function seasonStandingsOrderSql(sortBy) {
+  const column = SEASON_LEADERBOARD_SORTS[sortBy] || SEASON_LEADERBOARD_SORTS.distance;
+  return (
+    `ORDER BY ${column} DESC, distance_m DESC, sessions DESC, cards_total DESC, challenges_completed DESC, name ASC, user_id ASC`
+  );
+}
+
+function mapSeasonStandingRow(row) {
+  const cardsDefi = Number(row.cards_defi);
+  const cardsRare = Number(row.cards_rare);
+  const cardsEvenement = Number(row.cards_evenement);
+  return {
+    user_id: row.user_id,
+    name: row.name,
+    is_bot: Boolean(row.is_bot),
+    distance_m: Number(row.distance_m),
+    sessions: Number(row.sessions),
+    cards_defi: cardsDefi,
+    cards_rare: cardsRare,
+    cards_evenement: cardsEvenement,
+    cards_total: cardsDefi + cardsRare + cardsEvenement,
+    challenges_completed: Number(row.challenges_completed),
+    ...(typeof row.final_rank !== "undefined" ? { final_rank: row.final_rank ?? null } : {}),
+  };
+}
+
+// Lignes deja triees (SQL): rang partage en cas d'egalite sur le critere de tri.
+// Valable sur un prefixe (LIMIT): le rang d'une ligne ne depend que des lignes precedentes.
+function rankSeasonStandings(rows, sortBy) {
+  const column = SEASON_LEADERBOARD_SORTS[sortBy] || SEASON_LEADERBOARD_SORTS.distance;
+  rows.forEach((row, idx) => {
+    const prev = rows[idx - 1];
+    row.rank = prev && prev[column] === row[column] ? prev.rank : idx + 1;
+  });
+  return rows;
+}
+
+// Classement d'une saison calcule en direct: distance, sessions, cartes debloquees (defi/rare/evenement) et defis reussis
+async function computeSeasonStandings(seasonNumber, { includeBots = false, sortBy = "distance", limit = null } = {}, db = pool) {
+  const range = await getSeasonRange(seasonNumber, db);
+  if (!range) return null;
+  const from = range.start_date;
+  const to = range.end_date || "9999-12-31";
+  const params = [from, to, from, to, from, to];
+  if (limit) params.push(limit);
+  const [rows] = await db.query(
+    "SELECT u.id AS user_id, u.name, u.is_bot, " +
+      "IFNULL(s.distance_m, 0) AS distance_m, IFNULL(s.sessions, 0) AS sessions, " +
+      "IFNULL(c.cards_defi, 0) AS cards_defi, IFNULL(c.cards_rare, 0) AS cards_rare, " +
+      "IFNULL(c.cards_evenement, 0) AS cards_evenement, " +
+      "IFNULL(c.cards_defi, 0) + IFNULL(c.cards_rare, 0) + IFNULL(c.cards_evenement, 0) AS cards_total, " +
+      "IFNULL(ch.challenges_completed, 0) AS challenges_completed " +
+      "FROM users u " +
+      "LEFT JOIN (" +
+      "  SELECT user_id, SUM(distance) AS distance_m, COUNT(*) AS sessions FROM sessions " +
+      "  WHERE date >= ? AND date < ? GROUP BY user_id" +
+      ") s ON s.user_id = u.id " +
+      "LEFT JOIN (" +
+      "  SELECT user_id, " +
+      "  COUNT(DISTINCT CASE WHEN type = 'defi' THEN bot_id END) AS cards_defi, " +
+      "  COUNT(DISTINCT CASE WHEN type = 'rare' THEN bot_id END) AS cards_rare, " +
+      "  COUNT(DISTINCT CASE WHEN type = 'evenement' THEN bot_id END) AS cards_evenement " +
+      "  FROM user_card_results WHERE type IN ('defi', 'rare', 'evenement') AND achieved_at >= ? AND achieved_at < ? " +
+      "  GROUP BY user_id" +
+      ") c ON c.user_id = u.id " +
+      "LEFT JOIN (" +
+      "  SELECT user_id, COUNT(*) AS challenges_completed FROM user_challenges " +
+      "  WHERE status = 'completed' AND completed_at >= ? AND completed_at < ? GROUP BY user_id" +
+      ") ch ON ch.user_id = u.id " +
+      "WHERE (s.user_id IS NOT NULL OR c.user_id IS NOT NULL OR ch.user_id IS NOT NULL)" +
+      (includeBots ? "" : " AND u.is_bot = 0") +
+      ` ${seasonStandingsOrderSql(sortBy)}` +
+      (limit ? " LIMIT ?" : ""),
+    params
+  );
+  return { ...range, frozen: false, standings: rankSeasonStandings((rows || []).map(mapSeasonStandingRow), sortBy) };
+}
+
+// Classement fige a la bascule (season_standings), null si la saison n'a pas encore ete figee
+async function getFrozenSeasonStandings(seasonNumber, { includeBots = false, sortBy = "distance", limit = null } = {}) {
+  const [rolloverRows] = await pool.query(
+    "SELECT season_number FROM season_rollovers WHERE previous_season_number = ? LIMIT 1",
+    [seasonNumber]
+  );
+  if (!rolloverRows?.length) return null;
+  const range = await getSeasonRange(seasonNumber);
+  if (!range) return null;
+  const params = [seasonNumber];
+  if (limit) params.push(limit);
+  const [rows] = await pool.query(
+    "SELECT st.user_id, u.name, st.is_bot, st.distance_m, st.sessions, st.cards_defi, st.cards_rare, st.cards_evenement, " +
+      "st.cards_defi + st.cards_rare + st.cards_evenement AS cards_total, st.challenges_completed, st.`rank` AS final_rank " +
+      "FROM season_standings st LEFT JOIN users u ON u.id = st.user_id WHERE st.season_number = ?" +
+      (includeBots ? "" : " AND st.is_bot = 0") +
+      ` ${seasonStandingsOrderSql(sortBy)}` +
+      (limit ? " LIMIT ?" : ""),
+    params
+  );
+  return { ...range, frozen: true, standings: rankSeasonStandings((rows || []).map(mapSeasonStandingRow), sortBy) };
+}
+
+// Classement public: fige si la saison est terminee et basculee, sinon en direct (cache court)
+async function getSeasonLeaderboard(seasonNumber, options) {
+  const cacheKey = JSON.stringify([seasonNumber, options.includeBots, options.sortBy, options.limit]);
+  const cached = seasonLeaderboardCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+  const value = (await getFrozenSeasonStandings(seasonNumber, options)) || (await computeSeasonStandings(seasonNumber, options));
+  for (const [key, entry] of seasonLeaderboardCache) {
+    if (entry.expiresAt <= Date.now()) seasonLeaderboardCache.delete(key);
+  }
+  seasonLeaderboardCache.set(cacheKey, { value, expiresAt: Date.now() + SEASON_LEADERBOARD_CACHE_MS });
+  return value;
+}
+
+function getSeasonBadge(row) {
+  if (row.rank === 1) return "season_champion";
+  if (row.rank <= SEASON_PODIUM_SIZE) return "season_podium";
+  if (row.sessions > 0) return "season_finisher";
+  return null;
+}
+
+// Bascule d'une saison commencee (une seule fois par saison: season_rollovers sert de verrou).
+// active = { season_number, start_date }; announce = false pour une saison deja depassee (rattrapage)
+async function rolloverSeason(active, { announce }) {
+  const [prevRows] = await pool.query(
+    "SELECT season_number FROM seasons WHERE start_date < ? ORDER BY start_date DESC LIMIT 1",
+    [active.start_date]
+  );
+  const previousSeason = prevRows?.[0]?.season_number ?? null;
+
+  return withTransaction(async (conn) => {
+    const [claim] = await conn.query(
+      "INSERT IGNORE INTO season_rollovers (season_number, previous_season_number) VALUES (?, ?)",
+      [active.season_number, previousSeason]
+    );
+    if (claim.affectedRows === 0) return null;
+
+    // Classement final + badges de la saison precedente (bots figes aussi, sans rang ni badge)
+    const ranks = new Map();
+    let standingsCount = 0;
+    if (previousSeason !== null) {
+      const { standings: all } = await computeSeasonStandings(previousSeason, { includeBots: true }, conn);
+      const standings = rankSeasonStandings(all.filter((row) => !row.is_bot), "distance");
+      standingsCount = standings.length;
+      if (all.length) {
+        await conn.query(
+          "INSERT INTO season_standings (season_number, user_id, is_bot, `rank`, distance_m, sessions, cards_defi, cards_rare, " +
+            "cards_evenement, challenges_completed) VALUES ?",
+          [
+            all.map((row) => [
+              previousSeason,
+              row.user_id,
+              row.is_bot ? 1 : 0,
+              row.is_bot ? null : row.rank,
+              row.distance_m,
+              row.sessions,
+              row.cards_defi,
+              row.cards_rare,
+              row.cards_evenement,
+              row.challenges_completed,
+            ]),
+          ]
+        );
+        const badges = standings
+          .map((row) => ({ row, badge: getSeasonBadge(row) }))
+          .filter((b) => b.badge);
+        if (badges.length) {
+          await conn.query(
+            "INSERT IGNORE INTO user_badges (id, user_id, badge, season_number, `rank`) VALUES ?",
+            [badges.map(({ row, badge }) => [uuidv4(), row.user_id, badge, previousSeason, row.rank])]
+          );
+        }
+        for (const { row, badge } of badges) ranks.set(row.user_id, { rank: row.rank, badge });
+      }
+    }
+
+    // Annonce a tous les joueurs: bots de la nouvelle saison (+ leur resultat de la saison passee)
+    let notified = 0;
+    const startedAt = new Date(`${active.start_date}T00:00:00`);
+    const ageDays = (Date.now() - startedAt.getTime()) / (24 * 60 * 60 * 1000);
+    if (announce && ageDays <= SEASON_ROLLOVER_NOTIFY_DAYS) {
+      const [bots] = await conn.query(
+        "SELECT id, name, bot_card_type FROM users " +
+          "WHERE is_bot = 1 AND bot_retired_at IS NULL AND bot_season_int = ? ORDER BY name ASC",
+        [active.season_number]
+      );
+      const [players] = await conn.query("SELECT id FROM users WHERE is_bot = 0");
+      const botNames = (bots || []).map((b) => b.name).filter(Boolean);
+      const body = botNames.length
+        ? `Nouveaux bots : ${botNames.join(", ")}.`
+        : "Une nouvelle saison commence.";
+      const rows = (players || []).map((player) => {
+        const previous = ranks.get(player.id);
+        const meta = {
+          season_number: active.season_number,
+          start_date: active.start_date,
+          bots: (bots || []).map((b) => ({ id: b.id, name: b.name, bot_card_type: b.bot_card_type })),
+          previous_season: previous ? { season_number: previousSeason, rank: previous.rank, badge: previous.badge } : null,
+        };
+        return [uuidv4(), player.id, "season_started", `Saison ${active.season_number}`, body, JSON.stringify(meta)];
+      });
+      if (rows.length) {
+        await conn.query("INSERT INTO notifications (id, user_id, type, title, body, meta_json) VALUES ?", [rows]);
+      }
+      notified = rows.length;
+    }
+
+    await conn.query(
+      "UPDATE season_rollovers SET standings_count = ?, badges_count = ?, notified_count = ? WHERE season_number = ?",
+      [standingsCount, ranks.size, notified, active.season_number]
+    );
+    return {
+      season_number: active.season_number,
+      previous_season_number: previousSeason,
+      standings: standingsCount,
+      badges: ranks.size,
+      notified,
+    };
+  });
+}
+
+// Toutes les saisons commencees sans bascule, dans l'ordre (serveur arrete pendant une saison entiere,
+// ou deux debuts de saison dans la meme fenetre de verification). Seule la saison active est annoncee.
+async function runSeasonRollover() {
+  const [pending] = await pool.query(
+    "SELECT s.season_number, DATE_FORMAT(s.start_date, '%Y-%m-%d') AS start_date FROM seasons s " +
+      "LEFT JOIN season_rollovers r ON r.season_number = s.season_number " +
+      "WHERE s.start_date <= CURDATE() AND r.season_number IS NULL ORDER BY s.start_date ASC, s.season_number ASC"
+  );
+  if (!pending?.length) return [];
+  const active = await getActiveSeasonInfo();
+  const results = [];
+  for (const season of pending) {
+    const result = await rolloverSeason(season, { announce: season.season_number === active.season_number });
+    if (result) results.push(result);
+  }
+  return results;
+}
+
+function startSeasonRolloverWatcher() {
+  const tick = () => runSeasonRollover().catch((e) => console.error("runSeasonRollover error:", e));
+  setInterval(tick, SEASON_ROLLOVER_CHECK_MS).unref();
+  tick();
+}
+
+
+/* =========================
+   Bloquer la navigation directe (GET document) => 204
+   ========================= */
+function blockBrowserNav(req, res, next) {
+  try {
+    if (req.method === "GET" && req.path !== "/health") {
       if (req.path === "/strava/callback" || req.path === "/strava/webhook") {
         return next();
       }
@@ -414,6 +1370,142 @@ function blockBrowserNav(req, res, next) {
   return next();
 }
 
+/* =========================
+   Rate limiting (in-process)
+   - Store pluggable: { hit(key, windowMs), peek(key), reset(key) }, memoire par defaut
+   - Buckets par groupe de routes, surchargeables: RATE_LIMIT_PUBLIC="120/60" (max/secondes)
+   ========================= */
+function createMemoryRateLimitStore() {
+  const buckets = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+    async peek(key) {
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= Date.now()) return { count: 0, resetAt: null };
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+    async reset(key) {
+      buckets.delete(key);
+    },
+  };
+}
+
+function createRateLimitStore(kind) {
+  if (kind === "memory") return createMemoryRateLimitStore();
+  throw new Error(`unknown_rate_limit_store: ${kind}`);
+}
+
+const rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE || "memory");
+
+function parseRateLimit(value, fallback) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value || "").trim());
+  if (!match) return fallback;
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+const RATE_LIMITS = {
+  public: parseRateLimit(process.env.RATE_LIMIT_PUBLIC, { max: 120, windowMs: 60 * 1000 }),
+  authenticated: parseRateLimit(process.env.RATE_LIMIT_AUTHENTICATED, { max: 300, windowMs: 60 * 1000 }),
+  admin: parseRateLimit(process.env.RATE_LIMIT_ADMIN, { max: 300, windowMs: 60 * 1000 }),
+  webhook: parseRateLimit(process.env.RATE_LIMIT_WEBHOOK, { max: 600, windowMs: 60 * 1000 }),
+  login_ip: parseRateLimit(process.env.RATE_LIMIT_LOGIN_IP, { max: 20, windowMs: 15 * 60 * 1000 }),
+  login_account: parseRateLimit(process.env.RATE_LIMIT_LOGIN_ACCOUNT, { max: 5, windowMs: 15 * 60 * 1000 }),
+  password_reset_email: parseRateLimit(process.env.RATE_LIMIT_PASSWORD_RESET, { max: 3, windowMs: 60 * 60 * 1000 }),
+};
+
+function sendTooManyRequests(res, resetAt) {
+  const retryAfter = Math.max(1, Math.ceil((Number(resetAt) - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error: "too_many_requests" });
+}
+
+// Routes publiques (sans auth): toujours au quota public, quels que soient les headers envoyes
+const PUBLIC_RATE_LIMIT_PATH = /^\/(news|health|sessions|dashboard\/global|season\/active|seasons(\/[^/]+\/leaderboard)?|users\/public)\/?$/;
+const API_KEY_FORMAT = /^ntk_[A-Za-z0-9_-]{32}$/;
+
+// Quota "authenticated" seulement pour un JWT valide (signature verifiee) ou une cle API bien formee
+// (la cle elle-meme est verifiee en base par requireAuth, sur des routes qui repondent 401 sinon)
+function hasRateLimitIdentity(req) {
+  const token = getBearerToken(req);
+  if (token) {
+    if (!JWT_SECRET) return false;
+    try {
+      jwt.verify(token, JWT_SECRET);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+  return API_KEY_FORMAT.test(String(req.get("x-api-key") || ""));
+}
+
+function getRateLimitGroup(req) {
+  const p = req.path;
+  if (p.startsWith("/strava/webhook")) return "webhook";
+  if (req.method === "GET" && PUBLIC_RATE_LIMIT_PATH.test(p)) return "public";
+  if (p.startsWith("/admin/") || p === "/users") return "admin";
+  if (/^\/users\/[^/]+\/sessions(\/[^/]+)?$/.test(p) && !p.endsWith("/public")) return "admin";
+  if (hasRateLimitIdentity(req)) return "authenticated";
+  return "public";
+}
+
+async function rateLimitByGroup(req, res, next) {
+  try {
+    if (req.method === "OPTIONS") return next();
+    const group = getRateLimitGroup(req);
+    const { max, windowMs } = RATE_LIMITS[group];
+    const { count, resetAt } = await rateLimitStore.hit(`${group}:${req.ip}`, windowMs);
+    if (count > max) return sendTooManyRequests(res, resetAt);
+  } catch (e) {
+    console.error("rateLimitByGroup error:", e);
+  }
+  return next();
+}
+
+// Verrouillage login: echecs comptes par IP et par compte (email ou user id)
+function getLoginLockKeys(req, account) {
+  const keys = [{ key: `login_ip:${req.ip}`, ...RATE_LIMITS.login_ip }];
+  if (account) keys.push({ key: `login_account:${account}`, ...RATE_LIMITS.login_account });
+  return keys;
+}
+
+async function getLoginLockout(keys) {
+  for (const { key, max } of keys) {
+    const { count, resetAt } = await rateLimitStore.peek(key);
+    if (count >= max) return resetAt;
+  }
+  return null;
+}
+
+async function recordLoginFailure(keys) {
+  for (const { key, windowMs } of keys) {
+    await rateLimitStore.hit(key, windowMs);
+  }
+}
+
+async function clearLoginFailures(keys) {
+  for (const { key } of keys) {
+    if (key.startsWith("login_account:")) await rateLimitStore.reset(key);
+  }
+}
+
 /* =========================
    Helpers type validation
    ========================= */
@@ -435,6 +1527,70 @@ function validateDistance(distance) {
   return distNum;
 }
 
+/* =========================
+   Champs optionnels d'une session (duree, D+, FC, effort, notes, heure de depart)
+   - null ou "" => champ vide
+   ========================= */
+const SESSION_EXTRA_FIELDS = ["duration_s", "elevation_gain_m", "avg_hr", "perceived_effort", "notes", "start_datetime"];
+
+function parseIntInRange(value, min, max) {
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) return null;
+  return num;
+}
+
+function validateSessionExtras(body) {
+  const extras = {};
+  for (const field of SESSION_EXTRA_FIELDS) {
+    const value = body?.[field];
+    if (typeof value === "undefined") continue;
+    if (value === null || value === "") {
+      extras[field] = null;
+      continue;
+    }
+    if (field === "duration_s") {
+      const num = parseIntInRange(value, 1, 7 * 24 * 3600);
+      if (num === null) return { error: "duration_s invalide (secondes)" };
+      extras.duration_s = num;
+    } else if (field === "elevation_gain_m") {
+      const num = Number(value);
+      if (!Number.isFinite(num) || num < 0 || num > 20000) return { error: "elevation_gain_m invalide" };
+      extras.elevation_gain_m = Math.round(num * 10) / 10;
+    } else if (field === "avg_hr") {
+      const num = parseIntInRange(value, 30, 250);
+      if (num === null) return { error: "avg_hr invalide (30-250)" };
+      extras.avg_hr = num;
+    } else if (field === "perceived_effort") {
+      const num = parseIntInRange(value, 1, 10);
+      if (num === null) return { error: "perceived_effort invalide (1-10)" };
+      extras.perceived_effort = num;
+    } else if (field === "notes") {
+      const notes = String(value).trim();
+      if (notes.length > 2000) return { error: "notes trop longues (2000 max)" };
+      extras.notes = notes || null;
+    } else if (field === "start_datetime") {
+      const dt = toMysqlDateTime(value);
+      if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(dt || "")) return { error: "start_datetime invalide" };
+      extras.start_datetime = dt;
+    }
+  }
+  return { extras };
+}
+
+// Allure (s/km, s/100m en natation) et vitesse (km/h) si la duree est connue
+function computeSessionPace(distance, durationS, type) {
+  const dist = Number(distance);
+  const dur = Number(durationS);
+  if (!Number.isFinite(dist) || dist <= 0 || !Number.isFinite(dur) || dur <= 0) {
+    return { pace_s_per_km: null, pace_s_per_100m: null, speed_kmh: null };
+  }
+  return {
+    pace_s_per_km: Math.round((dur / dist) * 1000),
+    pace_s_per_100m: type === "swim" ? Math.round((dur / dist) * 100) : null,
+    speed_kmh: Math.round((dist / dur) * 3.6 * 100) / 100,
+  };
+}
+
 function formatKm(distanceMeters) {
   const km = Number(distanceMeters) / 1000;
   if (!Number.isFinite(km)) return "";
@@ -446,18 +1602,34 @@ function isDateBetween(dateStr, startStr, endStr) {
   return dateStr >= startStr && dateStr <= endStr;
 }
 
-async function createNotification(userId, { type, title, body, meta }) {
+// Execute fn(conn) dans une transaction (rollback si erreur)
+async function withTransaction(fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+async function createNotification(userId, { type, title, body, meta }, db = pool) {
   const id = uuidv4();
   const metaJson = meta ? JSON.stringify(meta) : null;
-  await pool.query(
+  await db.query(
     "INSERT INTO notifications (id, user_id, type, title, body, meta_json) VALUES (?, ?, ?, ?, ?, ?)",
     [id, userId, type, title || null, body || null, metaJson]
   );
   return id;
 }
 
-async function getActiveChallenge(userId) {
-  const [rows] = await pool.query(
+async function getActiveChallenge(userId, db = pool) {
+  const [rows] = await db.query(
     "SELECT c.id, c.bot_id, c.type, c.target_distance_m, " +
       "DATE_FORMAT(c.start_date, '%Y-%m-%d') AS start_date, " +
       "DATE_FORMAT(c.due_date, '%Y-%m-%d') AS due_date, " +
@@ -470,20 +1642,25 @@ async function getActiveChallenge(userId) {
   return rows?.[0] || null;
 }
 
-async function handleChallengeCompletion({ userId, sessionId, sessionDate, distance }) {
-  const challenge = await getActiveChallenge(userId);
+// Dans une transaction (db = connexion), les defis actifs du user sont verrouilles:
+// deux sessions creees en parallele ne peuvent pas completer le meme defi.
+async function handleChallengeCompletion({ userId, sessionId, sessionDate, distance, db = pool }) {
+  if (db !== pool) {
+    await db.query("SELECT id FROM user_challenges WHERE user_id = ? AND status = 'active' FOR UPDATE", [userId]);
+  }
+  const challenge = await getActiveChallenge(userId, db);
   if (!challenge) return null;
   if (!isDateBetween(sessionDate, challenge.start_date, challenge.due_date)) return null;
   if (Number(distance) < Number(challenge.target_distance_m)) return null;
 
-  const [result] = await pool.query(
+  const [result] = await db.query(
     "UPDATE user_challenges SET status = 'completed', completed_at = NOW(), completed_session_id = ? " +
       "WHERE id = ? AND status = 'active'",
     [sessionId, challenge.id]
   );
   if (result.affectedRows === 0) return null;
 
-  await pool.query(
+  await db.query(
     "INSERT INTO user_card_results (id, user_id, bot_id, type, distance_m, target_distance_m, session_id, achieved_at) " +
       "VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
     [
@@ -506,9 +1683,9 @@ async function handleChallengeCompletion({ userId, sessionId, sessionDate, dista
     title: isEvent ? "Événement réussi !" : "Défi réussi !",
     body: `Bravo ! Tu as fait ${actualKm} km sur ${targetKm} km.`,
     meta: { bot_id: challenge.bot_id, challenge_id: challenge.id },
-  });
+  }, db);
 
-  await pool.query(
+  await db.query(
     "UPDATE notifications SET read_at = NOW() " +
       "WHERE user_id = ? AND read_at IS NULL AND type IN ('challenge_start','event_start')",
     [userId]
@@ -517,23 +1694,263 @@ async function handleChallengeCompletion({ userId, sessionId, sessionDate, dista
   return challenge;
 }
 
-async function handleObjectCards({ userId, sessionId, sessionDate, distance }) {
-  const [bots] = await pool.query(
-    "SELECT id, bot_card_type, bot_target_distance_m FROM users " +
-      "WHERE is_bot = 1 AND bot_card_type = 'objet' AND bot_target_distance_m IS NOT NULL " +
-      "AND bot_target_distance_m <= ?",
+/* =========================
+   Cartes objet: regles d'attribution (bot_object_repeat, voir object-cards.js)
+   - none: premier deblocage, season: une par saison, tier: une par palier atteint (tous les paliers manquants)
+   - bot_drop_rate (0-1) : probabilite de drop de chaque carte meritee (vide ou >= 1 => toujours)
+   ========================= */
+
+async function getSeasonNumberForDate(dateStr, db = pool) {
+  const [rows] = await db.query(
+    "SELECT season_number FROM seasons WHERE start_date <= ? ORDER BY start_date DESC, season_number DESC LIMIT 1",
+    [dateStr]
+  );
+  return rows?.[0]?.season_number ?? null;
+}
+
+function rollObjectDrop(dropRate) {
+  const rate = Number(dropRate);
+  if (dropRate === null || typeof dropRate === "undefined" || !Number.isFinite(rate) || rate >= 1) return true;
+  if (rate <= 0) return false;
+  return Math.random() < rate;
+}
+
+async function handleObjectCards({ userId, sessionId, sessionDate, distance, db = pool }) {
+  const [bots] = await db.query(
+    "SELECT id, bot_card_type, bot_target_distance_m, bot_drop_rate, bot_object_repeat FROM users " +
+      "WHERE is_bot = 1 AND bot_card_type = 'objet' AND bot_retired_at IS NULL AND bot_target_distance_m IS NOT NULL " +
+      "AND bot_target_distance_m > 0 AND bot_target_distance_m <= ?",
     [distance]
   );
-  if (!bots?.length) return 0;
+  if (!bots?.length) return [];
 
+  const seasonNumber = bots.some((bot) => bot.bot_object_repeat === "season")
+    ? await getSeasonNumberForDate(sessionDate, db)
+    : null;
+
+  const awarded = [];
   for (const bot of bots) {
-    await pool.query(
-      "INSERT INTO user_card_results (id, user_id, bot_id, type, distance_m, target_distance_m, session_id, achieved_at) " +
-        "VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-      [uuidv4(), userId, bot.id, bot.bot_card_type, distance, bot.bot_target_distance_m, sessionId, sessionDate]
+    const awards = getObjectAwards(bot, distance, seasonNumber);
+    if (!awards.length) continue;
+    const [ownedRows] = await db.query(
+      "SELECT award_key FROM user_card_results WHERE user_id = ? AND bot_id = ? AND award_key IN (?)",
+      [userId, bot.id, awards.map((award) => award.awardKey)]
+    );
+    const owned = new Set((ownedRows || []).map((row) => row.award_key));
+
+    for (const award of awards) {
+      if (owned.has(award.awardKey) || !rollObjectDrop(bot.bot_drop_rate)) continue;
+      // uniq_user_bot_award: une attribution concurrente est ignoree
+      const [result] = await db.query(
+        "INSERT IGNORE INTO user_card_results (id, user_id, bot_id, type, distance_m, target_distance_m, session_id, achieved_at, award_key) " +
+          "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [uuidv4(), userId, bot.id, bot.bot_card_type, distance, award.threshold, sessionId, sessionDate, award.awardKey]
+      );
+      if (result.affectedRows) awarded.push({ bot_id: bot.id, award_key: award.awardKey });
+    }
+  }
+  return awarded;
+}
+
+// Sport de reference d'un joueur (alias u): le type le plus frequent de ses sessions (natation si egalite).
+// avg_distance_m n'a de sens que dans ce sport: une course ne debloque pas la carte d'un nageur.
+const PLAYER_MAIN_TYPE_SQL =
+  "(SELECT s2.type FROM sessions s2 WHERE s2.user_id = u.id GROUP BY s2.type " +
+  "ORDER BY COUNT(*) DESC, s2.type = 'swim' DESC LIMIT 1)";
+
+// Cartes joueurs: une session debloque la carte de chaque autre joueur dont avg_distance_m est atteinte
+// dans son sport de reference (une carte par joueur cible et par jour, uniq_user_target_date)
+async function handlePlayerCards({ userId, sessionDate, distance, type, db = pool }) {
+  const [targets] = await db.query(
+    "SELECT u.id, u.avg_distance_m FROM users u " +
+      "WHERE u.is_bot = 0 AND u.id <> ? AND u.avg_distance_m IS NOT NULL AND u.avg_distance_m > 0 AND u.avg_distance_m <= ? " +
+      `AND ${PLAYER_MAIN_TYPE_SQL} = ?`,
+    [userId, distance, type]
+  );
+  if (!targets?.length) return 0;
+  const rows = targets.map((t) => [uuidv4(), userId, t.id, distance, t.avg_distance_m, sessionDate]);
+  const [result] = await db.query(
+    "INSERT INTO user_player_card_results (id, user_id, target_user_id, distance_m, target_distance_m, achieved_at) VALUES " +
+      rows.map(() => "(?, ?, ?, ?, ?, ?)").join(", ") +
+      " ON DUPLICATE KEY UPDATE distance_m = GREATEST(distance_m, VALUES(distance_m))",
+    rows.flat()
+  );
+  return result.affectedRows;
+}
+
+// Cartes joueurs des jours touches par une modification/suppression (ancienne et nouvelle date) qui ne sont
+// plus justifiees par une session du meme jour dans le sport du joueur cible. Les autres jours (backfill admin) ne bougent pas.
+async function revokeUnbackedPlayerCards(userId, dates, db = pool) {
+  const days = [...new Set((dates || []).filter(Boolean))];
+  if (!days.length) return 0;
+  const [result] = await db.query(
+    "DELETE r FROM user_player_card_results r JOIN users u ON u.id = r.target_user_id " +
+      "WHERE r.user_id = ? AND r.achieved_at IN (?) AND NOT EXISTS (" +
+      "  SELECT 1 FROM sessions s WHERE s.user_id = r.user_id AND s.date = r.achieved_at AND s.distance >= r.target_distance_m " +
+      `  AND s.type = ${PLAYER_MAIN_TYPE_SQL}` +
+      ")",
+    [userId, days]
+  );
+  return result.affectedRows;
+}
+
+// Defi + cartes objet + cartes joueurs pour une session deja inseree, dans la transaction db
+async function awardSessionRewards(db, { userId, sessionId, sessionDate, distance, type }) {
+  const challengeCompleted = await handleChallengeCompletion({ userId, sessionId, sessionDate, distance, db });
+  await handleObjectCards({ userId, sessionId, sessionDate, distance, db });
+  await handlePlayerCards({ userId, sessionDate, distance, type, db });
+  return challengeCompleted;
+}
+
+// Recalcule defi + cartes apres modification (after = { date, distance, type }) ou suppression (after = null)
+// d'une session (before = { date } avant modification): revoque ce qui n'est plus merite, reattribue un defi
+// a une autre session si possible, sinon le rouvre tant que due_date n'est pas passee. Le user est notifie de ce qu'il perd.
+async function reevaluateSessionRewards({ userId, sessionId, before, after, db = pool }) {
+  const changes = { revoked: [], awarded: [], reopened: null, reassigned: null };
+  const today = getLocalDateString();
+
+  const [challengeRows] = await db.query(
+    "SELECT c.id, c.bot_id, c.type, c.target_distance_m, " +
+      "DATE_FORMAT(c.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(c.due_date, '%Y-%m-%d') AS due_date, " +
+      "u.name AS bot_name " +
+      "FROM user_challenges c LEFT JOIN users u ON u.id = c.bot_id " +
+      "WHERE c.user_id = ? AND c.completed_session_id = ? AND c.status = 'completed'",
+    [userId, sessionId]
+  );
+
+  for (const challenge of challengeRows || []) {
+    const stillValid =
+      after &&
+      isDateBetween(after.date, challenge.start_date, challenge.due_date) &&
+      Number(after.distance) >= Number(challenge.target_distance_m);
+    if (stillValid) {
+      await db.query(
+        "UPDATE user_card_results SET distance_m = ?, achieved_at = ? WHERE user_id = ? AND session_id = ? AND bot_id = ?",
+        [after.distance, after.date, userId, sessionId, challenge.bot_id]
+      );
+      continue;
+    }
+
+    await db.query(
+      "DELETE FROM user_card_results WHERE user_id = ? AND session_id = ? AND bot_id = ? AND type = ?",
+      [userId, sessionId, challenge.bot_id, challenge.type]
+    );
+    changes.revoked.push({ bot_id: challenge.bot_id, bot_name: challenge.bot_name || null, type: challenge.type });
+
+    const [replacementRows] = await db.query(
+      "SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, distance FROM sessions " +
+        "WHERE user_id = ? AND id <> ? AND date BETWEEN ? AND ? AND distance >= ? " +
+        "ORDER BY date ASC, created_at ASC LIMIT 1",
+      [userId, sessionId, challenge.start_date, challenge.due_date, challenge.target_distance_m]
+    );
+    const replacement = replacementRows?.[0];
+    if (replacement) {
+      await db.query("UPDATE user_challenges SET completed_session_id = ? WHERE id = ?", [replacement.id, challenge.id]);
+      await db.query(
+        "INSERT INTO user_card_results (id, user_id, bot_id, type, distance_m, target_distance_m, session_id, achieved_at) " +
+          "VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [uuidv4(), userId, challenge.bot_id, challenge.type, replacement.distance, challenge.target_distance_m, replacement.id, replacement.date]
+      );
+      changes.awarded.push({ bot_id: challenge.bot_id, bot_name: challenge.bot_name || null, type: challenge.type });
+      changes.reassigned = { challenge_id: challenge.id, session_id: replacement.id };
+      continue;
+    }
+
+    const active = await getActiveChallenge(userId, db);
+    const reopen = challenge.due_date >= today && !active;
+    await db.query(
+      "UPDATE user_challenges SET status = ?, completed_at = NULL, completed_session_id = NULL WHERE id = ?",
+      [reopen ? "active" : "expired", challenge.id]
     );
+    if (reopen) changes.reopened = { challenge_id: challenge.id, bot_id: challenge.bot_id, due_date: challenge.due_date };
+
+    const isEvent = challenge.type === "evenement";
+    const label = isEvent ? "l'événement" : "le défi";
+    await createNotification(userId, {
+      type: isEvent ? "event_revoked" : "challenge_revoked",
+      title: isEvent ? "Événement annulé" : "Défi annulé",
+      body: reopen
+        ? `Ta séance ne valide plus ${label}${challenge.bot_name ? ` de ${challenge.bot_name}` : ""}. Il est de nouveau actif jusqu'au ${challenge.due_date}.`
+        : `Ta séance ne valide plus ${label}${challenge.bot_name ? ` de ${challenge.bot_name}` : ""}. La carte a été retirée.`,
+      meta: { bot_id: challenge.bot_id, challenge_id: challenge.id, status: reopen ? "active" : "expired" },
+    }, db);
   }
-  return bots.length;
+
+  // Cartes objet liees a la session
+  const [objectRows] = await db.query(
+    "SELECT r.bot_id, r.target_distance_m, u.name AS bot_name FROM user_card_results r " +
+      "LEFT JOIN users u ON u.id = r.bot_id WHERE r.user_id = ? AND r.session_id = ? AND r.type = 'objet'",
+    [userId, sessionId]
+  );
+  const lostObjects = (objectRows || []).filter((row) => !after || Number(row.target_distance_m) > Number(after.distance));
+  for (const row of lostObjects) {
+    changes.revoked.push({ bot_id: row.bot_id, bot_name: row.bot_name || null, type: "objet" });
+  }
+  if (lostObjects.length) {
+    await createNotification(userId, {
+      type: "cards_revoked",
+      title: "Cartes retirées",
+      body: `${lostObjects.length} carte(s) objet retirée(s) suite à la modification de ta séance.`,
+      meta: { session_id: sessionId, bot_ids: lostObjects.map((row) => row.bot_id) },
+    }, db);
+  }
+
+  if (!after) {
+    await db.query(
+      "DELETE FROM user_card_results WHERE user_id = ? AND session_id = ? AND type = 'objet'",
+      [userId, sessionId]
+    );
+  } else {
+    await db.query(
+      "DELETE FROM user_card_results WHERE user_id = ? AND session_id = ? AND type = 'objet' AND target_distance_m > ?",
+      [userId, sessionId, after.distance]
+    );
+    await db.query(
+      "UPDATE user_card_results SET distance_m = ?, achieved_at = ? WHERE user_id = ? AND session_id = ? AND type = 'objet'",
+      [after.distance, after.date, userId, sessionId]
+    );
+    // Nouveaux paliers / premiers deblocages atteints avec la nouvelle distance (memes regles qu'a la creation)
+    const objects = await handleObjectCards({ userId, sessionId, sessionDate: after.date, distance: after.distance, db });
+    for (const object of objects) changes.awarded.push({ bot_id: object.bot_id, bot_name: null, type: "objet" });
+    await handlePlayerCards({ userId, sessionDate: after.date, distance: after.distance, type: after.type, db });
+
+    // La session modifiee peut maintenant valider le defi actif
+    if (!challengeRows?.length) {
+      const completed = await handleChallengeCompletion({
+        userId,
+        sessionId,
+        sessionDate: after.date,
+        distance: after.distance,
+        db,
+      });
+      if (completed) changes.awarded.push({ bot_id: completed.bot_id, bot_name: completed.bot_name || null, type: completed.type });
+    }
+  }
+
+  await revokeUnbackedPlayerCards(userId, [before?.date, after?.date], db);
+
+  return changes;
+}
+
+// Apres PUT/DELETE d'une session par l'API: recalcul a partir de l'etat en base (sauf bots).
+// A appeler avec la connexion de la transaction qui a modifie la session; before = { date } lu avant la modification
+async function refreshSessionRewards(userId, sessionId, before, db = pool) {
+  const [userRows] = await db.query("SELECT is_bot FROM users WHERE id = ? LIMIT 1", [userId]);
+  if (userRows?.[0]?.is_bot) return null;
+  const [rows] = await db.query(
+    "SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date, distance, type FROM sessions WHERE id = ? AND user_id = ? LIMIT 1",
+    [sessionId, userId]
+  );
+  const after = rows?.[0] ? { date: rows[0].date, distance: Number(rows[0].distance), type: rows[0].type } : null;
+  return reevaluateSessionRewards({ userId, sessionId, before, after, db });
+}
+
+async function getSessionDateForUser(sessionId, userId, db = pool) {
+  const [rows] = await db.query(
+    "SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date FROM sessions WHERE id = ? AND user_id = ? LIMIT 1 FOR UPDATE",
+    [sessionId, userId]
+  );
+  return rows?.[0] || null;
 }
 
 function mapSessionRow(row) {
@@ -548,6 +1965,13 @@ function mapSessionRow(row) {
     user_name: row.user_name || null,
     is_bot: !!row.is_bot,
     strava_activity_id: row.strava_activity_id ?? null,
+    start_datetime: row.start_datetime || null,
+    duration_s: row.duration_s ?? null,
+    elevation_gain_m: row.elevation_gain_m ?? null,
+    avg_hr: row.avg_hr ?? null,
+    perceived_effort: row.perceived_effort ?? null,
+    notes: row.notes || null,
+    ...computeSessionPace(row.distance, row.duration_s, row.type),
     likes_count: Number(row.likes_count) || 0,
     challenge_completed: hasChallenge,
     challenge: hasChallenge
@@ -565,662 +1989,2229 @@ function mapSessionRow(row) {
   };
 }
 
-/* =========================
-   Router API
-   ========================= */
-const api = express.Router();
+// Service unique de creation de session (manuel, admin, import, Strava):
+// insertion + defi + cartes dans une seule transaction
+async function createSessionWithRewards({ id, userId, date, distance, type, extras = {}, evaluateRewards = true }) {
+  const newId = id || uuidv4();
+  const extraCols = Object.keys(extras);
+
+  return withTransaction(async (conn) => {
+    await conn.query(
+      `INSERT INTO sessions (id, user_id, date, distance, type${extraCols.map((c) => `, ${c}`).join("")}) ` +
+        `VALUES (?, ?, ?, ?, ?${extraCols.map(() => ", ?").join("")})`,
+      [newId, userId, date, distance, type, ...extraCols.map((c) => extras[c])]
+    );
+
+    const challengeCompleted = evaluateRewards
+      ? await awardSessionRewards(conn, { userId, sessionId: newId, sessionDate: date, distance, type })
+      : null;
+    return { id: newId, challengeCompleted };
+  });
+}
+
+function mapCreatedSession({ id, userId, date, distance, type, extras = {} }, challengeCompleted) {
+  return {
+    id,
+    user_id: userId,
+    date,
+    distance,
+    type,
+    ...extras,
+    ...computeSessionPace(distance, extras.duration_s, type),
+    challenge_completed: !!challengeCompleted,
+    challenge: challengeCompleted
+      ? {
+          id: challengeCompleted.id,
+          bot_id: challengeCompleted.bot_id,
+          bot_name: challengeCompleted.bot_name || null,
+          type: challengeCompleted.type,
+          target_distance_m: challengeCompleted.target_distance_m,
+          due_date: challengeCompleted.due_date,
+        }
+      : null,
+  };
+}
 
 /* =========================
-   News (événements spéciaux)
+   Strava: activites => sessions (create / update / delete)
    ========================= */
-api.get("/news", async (req, res) => {
-  try {
-    const limitRaw = Number(req.query.limit);
-    const offsetRaw = Number(req.query.offset);
-    const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 50) : null;
-    const offset = Number.isFinite(offsetRaw) && offsetRaw >= 0 ? offsetRaw : 0;
-    const baseSql =
-      "SELECT id, title, subtitle, city, image_url, image_focus_y, link_url, show_event_date, " +
-      "DATE_FORMAT(event_date, '%Y-%m-%d') AS event_date, " +
-      "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
-      "FROM news_items ORDER BY created_at DESC, event_date DESC";
-    const [rows] = limit
-      ? await pool.query(`${baseSql} LIMIT ? OFFSET ?`, [limit, offset])
-      : await pool.query(baseSql);
-    res.json(Array.isArray(rows) ? rows : []);
-  } catch (e) {
-    console.error("GET /news error:", e);
-    res.status(500).json({ error: "news_error" });
-  }
-});
-api.use(blockBrowserNav);
+async function fetchStravaActivity(accessToken, activityId) {
+  const activityRes = await stravaFetch(`/api/v3/activities/${activityId}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (activityRes.status === 404) return { activity: null, notFound: true };
+  const activity = await activityRes.json();
+  if (!activityRes.ok) throw new Error(activity?.message || "strava_activity_error");
+  return { activity, notFound: false };
+}
 
-// Healthcheck DB + app
-api.get("/health", async (_req, res) => {
+// Variantes d'activites Strava importables => type NaTrack.
+// STRAVA_TYPE_MAP (JSON) surcharge ou desactive (null) une variante: {"treadmill": null, "walk": "run"}
+const DEFAULT_STRAVA_TYPE_MAP = {
+  run: "run",
+  trail_run: "run",
+  virtual_run: "run",
+  treadmill: "run",
+  swim: "swim",
+};
+
+function loadStravaTypeMap() {
+  const map = { ...DEFAULT_STRAVA_TYPE_MAP };
+  if (!process.env.STRAVA_TYPE_MAP) return map;
   try {
-    const [rows] = await pool.query("SELECT 1 AS ok");
-    res.json({ ok: true, db: rows?.[0]?.ok === 1 });
+    const override = JSON.parse(process.env.STRAVA_TYPE_MAP);
+    for (const [variant, type] of Object.entries(override || {})) {
+      if (type === null) delete map[variant];
+      else if (isValidType(type)) map[variant] = type;
+    }
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    console.error("STRAVA_TYPE_MAP invalide:", e.message);
   }
-});
+  return map;
+}
 
-// Login email/mot de passe
-api.post("/auth/login", async (req, res) => {
-  try {
-    const { email, password } = req.body || {};
-    if (!email || !password) return res.status(400).json({ error: "missing_credentials" });
+const STRAVA_TYPE_MAP = loadStravaTypeMap();
 
-    const [rows] = await pool.query(
-      "SELECT id, email, name, description, avg_distance_m, role, password_hash, shoe_name, card_image, is_bot, bot_color, bot_border_color, " +
-        "bot_card_type, DATE_FORMAT(bot_event_date, '%Y-%m-%d') AS bot_event_date, bot_drop_rate, bot_target_distance_m, " +
-        "DATE_FORMAT(shoe_start_date, '%Y-%m-%d') AS shoe_start_date, " +
-        "shoe_target_km FROM users WHERE email = ? LIMIT 1",
-      [String(email).trim().toLowerCase()]
-    );
+// sport_type (plus precis) puis type; un "Run" sur home-trainer = tapis
+function getStravaActivityVariant(activity) {
+  const sport = String(activity?.sport_type || activity?.type || "");
+  if (sport === "Run" && activity?.trainer) return "treadmill";
+  return sport
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .toLowerCase();
+}
 
-    const user = rows?.[0];
-    if (!user) return res.status(401).json({ error: "invalid_credentials" });
+function parseExcludedVariants(value) {
+  return String(value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter((v) => Object.prototype.hasOwnProperty.call(STRAVA_TYPE_MAP, v));
+}
 
-    if (user.is_bot) return res.status(403).json({ error: "bot_account" });
+async function getStravaExcludedVariants(userId) {
+  const [rows] = await pool.query(
+    "SELECT excluded_variants FROM strava_import_settings WHERE user_id = ? LIMIT 1",
+    [userId]
+  );
+  return parseExcludedVariants(rows?.[0]?.excluded_variants);
+}
 
-    const ok = await bcrypt.compare(String(password), user.password_hash);
-    if (!ok) return res.status(401).json({ error: "invalid_credentials" });
+// Session NaTrack correspondant a une activite Strava => { session } ou { skipReason }
+function mapStravaActivity(activity, excludedVariants = []) {
+  const variant = getStravaActivityVariant(activity);
+  const type = STRAVA_TYPE_MAP[variant];
+  if (!type) return { skipReason: "unsupported_type", variant };
+  if (excludedVariants.includes(variant)) return { skipReason: "excluded_by_user", variant };
 
-    const token = signToken(user);
-    if (!token) return res.status(500).json({ error: "missing_jwt_secret" });
+  const distance = Math.round(Number(activity.distance) || 0);
+  if (!Number.isFinite(distance) || distance <= 0) return { skipReason: "invalid_distance", variant };
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        avg_distance_m: user.avg_distance_m ?? null,
-        description: user.description || null,
-        role: user.role,
-        is_bot: !!user.is_bot,
-        bot_color: user.bot_color || null,
-        bot_border_color: user.bot_border_color || null,
-        bot_card_type: user.bot_card_type || null,
-        bot_event_date: user.bot_event_date || null,
-        bot_drop_rate: user.bot_drop_rate ?? null,
-        bot_target_distance_m: user.bot_target_distance_m ?? null,
-        bot_season_int: user.bot_season_int ?? null,
-        shoe_name: user.shoe_name || null,
-        card_image: user.card_image || null,
-        shoe_start_date: user.shoe_start_date || null,
-        shoe_target_km: user.shoe_target_km ?? null,
+  const dateValue = activity.start_date_local || activity.start_date;
+  const date = String(dateValue || "").split("T")[0];
+  if (!date) return { skipReason: "invalid_date", variant };
+
+  const elevationGain = Number(activity.total_elevation_gain);
+  return {
+    variant,
+    session: {
+      date,
+      distance,
+      type,
+      extras: {
+        start_datetime: toMysqlDateTime(dateValue),
+        duration_s: Math.round(Number(activity.moving_time) || 0) || null,
+        elevation_gain_m: Number.isFinite(elevationGain) ? elevationGain : null,
+        avg_hr: Math.round(Number(activity.average_heartrate) || 0) || null,
       },
-    });
-  } catch (e) {
-    console.error("POST /auth/login error:", e);
-    res.status(500).json({ error: e.message });
+    },
+  };
+}
+
+// Trace des activites ignorees (une ligne par activite, mise a jour si re-evaluee)
+async function logStravaSkip(userId, activityId, activity, reason) {
+  const dateValue = activity?.start_date_local || activity?.start_date;
+  await pool.query(
+    "INSERT INTO strava_import_logs (id, user_id, strava_activity_id, reason, strava_type, sport_type, start_datetime, distance) " +
+      "VALUES (?, ?, ?, ?, ?, ?, ?, ?) " +
+      "ON DUPLICATE KEY UPDATE reason = VALUES(reason), strava_type = VALUES(strava_type), sport_type = VALUES(sport_type), " +
+      "start_datetime = VALUES(start_datetime), distance = VALUES(distance), created_at = NOW()",
+    [
+      uuidv4(),
+      userId,
+      String(activityId),
+      reason,
+      activity?.type ? String(activity.type).slice(0, 64) : null,
+      activity?.sport_type ? String(activity.sport_type).slice(0, 64) : null,
+      dateValue ? toMysqlDateTime(dateValue) : null,
+      Number.isFinite(Number(activity?.distance)) ? Math.round(Number(activity.distance)) : null,
+    ]
+  );
+}
+
+async function clearStravaSkip(userId, activityId) {
+  await pool.query(
+    "DELETE FROM strava_import_logs WHERE user_id = ? AND strava_activity_id = ?",
+    [userId, String(activityId)]
+  );
+}
+
+async function findStravaSession(userId, activityId) {
+  const [rows] = await pool.query(
+    "SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, distance, type FROM sessions " +
+      "WHERE user_id = ? AND strava_activity_id = ? LIMIT 1",
+    [userId, String(activityId)]
+  );
+  return rows?.[0] || null;
+}
+
+async function importStravaActivity(userId, activityId, activity, { evaluateRewards = true, excludedVariants = null } = {}) {
+  const excluded = excludedVariants || (await getStravaExcludedVariants(userId));
+  const { session, skipReason } = mapStravaActivity(activity, excluded);
+  if (!session) {
+    await logStravaSkip(userId, activityId, activity, skipReason);
+    return null;
   }
-});
 
-// Strava OAuth connect
-api.get("/strava/connect", requireAuth, (req, res) => {
-  if (!STRAVA_CLIENT_ID || !STRAVA_REDIRECT_URI) {
-    return res.status(500).json({ error: "missing_strava_config" });
+  if (await findStravaSession(userId, activityId)) return null;
+  const [dupRows] = await pool.query(
+    "SELECT id FROM sessions WHERE user_id = ? AND date = ? AND distance = ? AND type = ? LIMIT 1",
+    [userId, session.date, session.distance, session.type]
+  );
+  if (dupRows?.length) {
+    await logStravaSkip(userId, activityId, activity, "duplicate");
+    return null;
   }
-  const state = createStravaState(req.user.id);
-  if (!state) return res.status(500).json({ error: "missing_jwt_secret" });
-  const params = new URLSearchParams({
-    client_id: STRAVA_CLIENT_ID,
-    redirect_uri: STRAVA_REDIRECT_URI,
-    response_type: "code",
-    approval_prompt: "auto",
-    scope: "activity:read_all",
-    state,
+
+  await clearStravaSkip(userId, activityId);
+  return createSessionWithRewards({
+    userId,
+    date: session.date,
+    distance: session.distance,
+    type: session.type,
+    extras: { ...session.extras, strava_activity_id: String(activityId) },
+    evaluateRewards,
   });
-  const url = `https://www.strava.com/oauth/authorize?${params.toString()}`;
-  if (String(req.query?.redirect) === "1") return res.redirect(url);
-  return res.json({ url });
-});
+}
 
-// Strava status (user)
-api.get("/strava/status", requireAuth, async (req, res) => {
-  try {
-    const account = await getStravaAccountByUser(req.user.id);
-    if (!account) return res.json({ connected: false });
-    res.json({
-      connected: true,
-      athlete_id: account.athlete_id,
-      expires_at: account.expires_at,
-    });
-  } catch (e) {
-    console.error("GET /strava/status error:", e);
-    res.status(500).json({ error: "strava_status_error" });
-  }
-});
+async function deleteStravaActivitySession(userId, activityId) {
+  await clearStravaSkip(userId, activityId);
+  const session = await findStravaSession(userId, activityId);
+  if (!session) return null;
+  return withTransaction(async (conn) => {
+    await conn.query("DELETE FROM sessions WHERE id = ?", [session.id]);
+    return reevaluateSessionRewards({ userId, sessionId: session.id, before: { date: session.date }, after: null, db: conn });
+  });
+}
 
-// Strava disconnect (user)
-api.post("/strava/disconnect", requireAuth, async (req, res) => {
-  try {
-    await pool.query("DELETE FROM strava_accounts WHERE user_id = ?", [req.user.id]);
-    res.json({ disconnected: true });
-  } catch (e) {
-    console.error("POST /strava/disconnect error:", e);
-    res.status(500).json({ error: "strava_disconnect_error" });
+async function updateStravaActivitySession(userId, activityId, activity) {
+  const existing = await findStravaSession(userId, activityId);
+  if (!existing) return importStravaActivity(userId, activityId, activity);
+
+  const { session, skipReason } = mapStravaActivity(activity, await getStravaExcludedVariants(userId));
+  if (!session) {
+    const changes = await deleteStravaActivitySession(userId, activityId);
+    await logStravaSkip(userId, activityId, activity, skipReason);
+    return changes;
   }
-});
 
-// Strava import logs (user)
-api.get("/strava/logs", requireAuth, async (req, res) => {
-  try {
-    const limit = Math.min(Number(req.query?.limit) || 10, 50);
-    const [rows] = await pool.query(
-      "SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, distance, type, strava_activity_id, " +
-        "DATE_FORMAT(start_datetime, '%Y-%m-%d %H:%i:%s') AS start_datetime, " +
-        "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
-        "FROM sessions WHERE user_id = ? AND strava_activity_id IS NOT NULL " +
-        "ORDER BY COALESCE(start_datetime, created_at, date) DESC LIMIT ?",
-      [req.user.id, limit]
+  return withTransaction(async (conn) => {
+    await conn.query(
+      "UPDATE sessions SET date = ?, distance = ?, type = ?, start_datetime = ?, duration_s = ?, elevation_gain_m = ?, avg_hr = ? " +
+        "WHERE id = ?",
+      [
+        session.date,
+        session.distance,
+        session.type,
+        session.extras.start_datetime,
+        session.extras.duration_s,
+        session.extras.elevation_gain_m,
+        session.extras.avg_hr,
+        existing.id,
+      ]
     );
-    res.json(rows || []);
-  } catch (e) {
-    console.error("GET /strava/logs error:", e);
-    res.status(500).json({ error: "strava_logs_error" });
+    return reevaluateSessionRewards({
+      userId,
+      sessionId: existing.id,
+      before: { date: existing.date },
+      after: { date: session.date, distance: session.distance, type: session.type },
+      db: conn,
+    });
+  });
+}
+
+/* =========================
+   Strava: backfill historique (job en tache de fond, reprenable)
+   - une page de /athlete/activities par iteration, progression persistee en DB
+   - pause jusqu'a la fenetre suivante quand les headers X-RateLimit-* approchent la limite
+   ========================= */
+const STRAVA_BACKFILL_PAGE_SIZE = 100;
+const STRAVA_RATE_LIMIT_MARGIN = 5;
+const runningBackfills = new Set();
+
+function parseStravaRateLimit(headers) {
+  const limitRaw = headers.get("x-readratelimit-limit") || headers.get("x-ratelimit-limit") || "";
+  const usageRaw = headers.get("x-readratelimit-usage") || headers.get("x-ratelimit-usage") || "";
+  const [limit15, limitDay] = String(limitRaw).split(",").map((v) => Number(v));
+  const [usage15, usageDay] = String(usageRaw).split(",").map((v) => Number(v));
+  return { limit15, limitDay, usage15, usageDay };
+}
+
+// Fenetres Strava: 15 min alignees sur l'heure (UTC) et journee UTC
+function getStravaRateLimitResume(rate, force = false) {
+  const now = new Date();
+  const dayExhausted =
+    Number.isFinite(rate.limitDay) && Number.isFinite(rate.usageDay) && rate.usageDay >= rate.limitDay - STRAVA_RATE_LIMIT_MARGIN;
+  if (dayExhausted) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1, 0, 1));
   }
-});
+  const windowExhausted =
+    Number.isFinite(rate.limit15) && Number.isFinite(rate.usage15) && rate.usage15 >= rate.limit15 - STRAVA_RATE_LIMIT_MARGIN;
+  if (!windowExhausted && !force) return null;
+  const next = new Date(now.getTime());
+  next.setUTCMinutes(Math.floor(now.getUTCMinutes() / 15) * 15 + 15, 30, 0);
+  return next;
+}
 
-// Strava OAuth callback
-api.get("/strava/callback", async (req, res) => {
+function mapBackfillJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    after: row.after_date,
+    next_page: row.next_page,
+    scanned: Number(row.scanned_count) || 0,
+    imported: Number(row.imported_count) || 0,
+    skipped: Number(row.skipped_count) || 0,
+    evaluate_rewards: !!row.evaluate_rewards,
+    retry_at: row.retry_at || null,
+    last_error: row.last_error || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    finished_at: row.finished_at || null,
+  };
+}
+
+async function getBackfillJob(jobId) {
+  const [rows] = await pool.query(
+    "SELECT id, user_id, status, DATE_FORMAT(after_date, '%Y-%m-%d') AS after_date, next_page, scanned_count, " +
+      "imported_count, skipped_count, evaluate_rewards, last_error, " +
+      "DATE_FORMAT(retry_at, '%Y-%m-%d %H:%i:%s') AS retry_at, " +
+      "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at, " +
+      "DATE_FORMAT(updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at, " +
+      "DATE_FORMAT(finished_at, '%Y-%m-%d %H:%i:%s') AS finished_at " +
+      "FROM strava_backfill_jobs WHERE id = ? LIMIT 1",
+    [jobId]
+  );
+  return rows?.[0] || null;
+}
+
+function scheduleStravaBackfill(jobId, resumeAt) {
+  const delay = Math.max(0, new Date(resumeAt).getTime() - Date.now());
+  setTimeout(async () => {
+    try {
+      await pool.query(
+        "UPDATE strava_backfill_jobs SET status = 'running', retry_at = NULL WHERE id = ? AND status = 'waiting'",
+        [jobId]
+      );
+      await runStravaBackfill(jobId);
+    } catch (e) {
+      console.error("scheduleStravaBackfill error:", e);
+    }
+  }, delay);
+}
+
+// retry_at en heure locale du serveur: relu tel quel par mysql2 (DATETIME sans fuseau) au redemarrage
+async function pauseStravaBackfill(jobId, resumeAt) {
+  await pool.query(
+    "UPDATE strava_backfill_jobs SET status = 'waiting', retry_at = ? WHERE id = ?",
+    [formatLocalDateTime(resumeAt), jobId]
+  );
+  scheduleStravaBackfill(jobId, resumeAt);
+}
+
+async function runStravaBackfill(jobId) {
+  if (runningBackfills.has(jobId)) return;
+  runningBackfills.add(jobId);
   try {
-    const code = req.query?.code;
-    const state = req.query?.state;
-    await exchangeStravaCode({ code, state });
-    if (STRAVA_POST_AUTH_REDIRECT) {
-      const sep = STRAVA_POST_AUTH_REDIRECT.includes("?") ? "&" : "?";
-      return res.redirect(`${STRAVA_POST_AUTH_REDIRECT}${sep}strava=connected`);
+    for (;;) {
+      const job = await getBackfillJob(jobId);
+      if (!job || job.status !== "running") return;
+
+      const account = await ensureStravaAccessByUser(job.user_id);
+      if (!account?.access_token) throw new Error("strava_not_connected");
+
+      const afterEpoch = Math.floor(new Date(`${job.after_date}T00:00:00Z`).getTime() / 1000);
+      const params = new URLSearchParams({
+        after: String(afterEpoch),
+        page: String(job.next_page),
+        per_page: String(STRAVA_BACKFILL_PAGE_SIZE),
+      });
+      const listRes = await stravaFetch(`/api/v3/athlete/activities?${params.toString()}`, {
+        headers: { Authorization: `Bearer ${account.access_token}` },
+      });
+      const rate = parseStravaRateLimit(listRes.headers);
+      if (listRes.status === 429) {
+        await pauseStravaBackfill(jobId, getStravaRateLimitResume(rate, true));
+        return;
+      }
+      const activities = await listRes.json();
+      if (!listRes.ok) throw new Error(activities?.message || "strava_activities_error");
+
+      if (!Array.isArray(activities) || activities.length === 0) {
+        await pool.query(
+          "UPDATE strava_backfill_jobs SET status = 'completed', finished_at = NOW() WHERE id = ?",
+          [jobId]
+        );
+        return;
+      }
+
+      let imported = 0;
+      const excludedVariants = await getStravaExcludedVariants(job.user_id);
+      for (const activity of activities) {
+        const created = await importStravaActivity(job.user_id, activity.id, activity, {
+          evaluateRewards: !!job.evaluate_rewards,
+          excludedVariants,
+        });
+        if (created) imported += 1;
+      }
+      await pool.query(
+        "UPDATE strava_backfill_jobs SET next_page = next_page + 1, scanned_count = scanned_count + ?, " +
+          "imported_count = imported_count + ?, skipped_count = skipped_count + ? WHERE id = ?",
+        [activities.length, imported, activities.length - imported, jobId]
+      );
+
+      const resumeAt = getStravaRateLimitResume(rate);
+      if (resumeAt) {
+        await pauseStravaBackfill(jobId, resumeAt);
+        return;
+      }
     }
-    return res.json({ connected: true });
   } catch (e) {
-    console.error("GET /strava/callback error:", e);
-    if (STRAVA_POST_AUTH_REDIRECT) {
-      const sep = STRAVA_POST_AUTH_REDIRECT.includes("?") ? "&" : "?";
-      return res.redirect(`${STRAVA_POST_AUTH_REDIRECT}${sep}strava=error`);
-    }
-    return res.status(500).json({ error: "strava_callback_error" });
+    console.error("runStravaBackfill error:", e);
+    await pool
+      .query("UPDATE strava_backfill_jobs SET status = 'failed', last_error = ? WHERE id = ?", [
+        String(e.message || e).slice(0, 255),
+        jobId,
+      ])
+      .catch(() => {});
+  } finally {
+    runningBackfills.delete(jobId);
   }
-});
+}
 
-// Strava exchange (manual finalize)
-api.post("/strava/exchange", requireAuth, async (req, res) => {
-  try {
-    const code = req.body?.code;
-    const state = req.body?.state;
-    const userId = parseStravaState(state);
-    if (!userId) return res.status(401).json({ error: "invalid_state" });
-    if (String(userId) !== String(req.user.id)) return res.status(403).json({ error: "forbidden" });
-    const result = await exchangeStravaCode({ code, state });
-    res.json({ connected: true, athlete_id: result.athleteId });
-  } catch (e) {
-    console.error("POST /strava/exchange error:", e);
-    res.status(500).json({ error: e.message || "strava_exchange_error" });
+// Au demarrage: reprend les jobs interrompus (redemarrage du serveur)
+async function resumeStravaBackfills() {
+  const [rows] = await pool.query(
+    "SELECT id, status, retry_at FROM strava_backfill_jobs WHERE status IN ('running','waiting')"
+  );
+  for (const row of rows || []) {
+    if (row.status === "waiting" && row.retry_at) {
+      scheduleStravaBackfill(row.id, row.retry_at);
+    } else {
+      void runStravaBackfill(row.id);
+    }
   }
-});
+}
 
-// Strava Webhook verification
-api.get("/strava/webhook", (req, res) => {
-  const mode = req.query?.["hub.mode"];
-  const token = req.query?.["hub.verify_token"];
-  const challenge = req.query?.["hub.challenge"];
-  if (mode === "subscribe" && token && token === STRAVA_WEBHOOK_VERIFY_TOKEN) {
-    return res.json({ "hub.challenge": challenge });
+/* =========================
+   Strava: file d'evenements webhook
+   - chaque payload est persiste dans strava_events avant traitement
+   - idempotence sur (object_type, object_id, aspect_type): une re-livraison est ignoree,
+     un "update" plus recent (event_time) re-arme l'evenement
+   - retry avec backoff exponentiel, statut 'failed' apres STRAVA_EVENT_MAX_ATTEMPTS
+   ========================= */
+const STRAVA_EVENT_BATCH_SIZE = 20;
+// event_time vient du payload: borne a maintenant (+ derive d'horloge) pour qu'une date future
+// ne masque pas les "update" suivants de la meme activite
+const STRAVA_EVENT_CLOCK_SKEW_S = 60;
+const STRAVA_SUBSCRIPTION_CACHE_MS = 5 * 60 * 1000;
+const STRAVA_SUBSCRIPTION_REFRESH_MS = 30 * 1000;
+let stravaEventsRunning = false;
+let stravaSubscriptionCache = { id: null, fetchedAt: 0 };
+
+// Id de l'abonnement push actif cote Strava (cache, vide apres POST/DELETE /admin/strava/subscription)
+async function getLiveStravaSubscriptionId({ refresh = false } = {}) {
+  if (!refresh && Date.now() - stravaSubscriptionCache.fetchedAt < STRAVA_SUBSCRIPTION_CACHE_MS) {
+    return stravaSubscriptionCache.id;
   }
-  return res.status(403).json({ error: "forbidden" });
-});
+  const sub = await stravaSubscriptionRequest("", "GET");
+  if (!sub.ok) throw new Error(sub.data?.message || "strava_subscription_error");
+  const current = Array.isArray(sub.data) ? sub.data[0] : null;
+  stravaSubscriptionCache = { id: current ? String(current.id) : null, fetchedAt: Date.now() };
+  return stravaSubscriptionCache.id;
+}
 
-// Strava Webhook receiver
-api.post("/strava/webhook", async (req, res) => {
-  const body = req.body || {};
-  res.json({ received: true });
-  try {
-    if (body.object_type !== "activity" || body.aspect_type !== "create") return;
-    const activityId = body.object_id;
-    const athleteId = body.owner_id;
-    if (!activityId || !athleteId) return;
-    const account = await ensureStravaAccessByAthlete(athleteId);
-    if (!account?.access_token) return;
+// Le webhook n'est pas authentifie: seul un payload portant l'id de l'abonnement actif est accepte
+async function isLiveStravaSubscription(subscriptionId) {
+  if (!subscriptionId) return false;
+  if (String(subscriptionId) === (await getLiveStravaSubscriptionId())) return true;
+  // Abonnement peut-etre recree depuis la derniere lecture (relu au plus toutes les 30 s)
+  if (Date.now() - stravaSubscriptionCache.fetchedAt < STRAVA_SUBSCRIPTION_REFRESH_MS) return false;
+  return String(subscriptionId) === (await getLiveStravaSubscriptionId({ refresh: true }));
+}
 
-    const activityRes = await fetch(`https://www.strava.com/api/v3/activities/${activityId}`, {
-      headers: { Authorization: `Bearer ${account.access_token}` },
-    });
-    const activity = await activityRes.json();
-    if (!activityRes.ok) return;
-    if (String(activity?.type) !== "Run") return;
+function mapStravaEventRow(row) {
+  return {
+    id: row.id,
+    object_type: row.object_type,
+    object_id: row.object_id,
+    aspect_type: row.aspect_type,
+    owner_id: row.owner_id,
+    event_time: row.event_time,
+    status: row.status,
+    attempts: Number(row.attempts) || 0,
+    next_attempt_at: row.next_attempt_at || null,
+    last_error: row.last_error || null,
+    processed_at: row.processed_at || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
 
-    const distance = Math.round(Number(activity.distance) || 0);
-    if (!Number.isFinite(distance) || distance <= 0) return;
+async function enqueueStravaEvent(body) {
+  const nowS = Math.floor(Date.now() / 1000);
+  const eventTime = Math.min(Number(body.event_time) || nowS, nowS + STRAVA_EVENT_CLOCK_SKEW_S);
+  await pool.query(
+    "INSERT INTO strava_events (id, object_type, object_id, aspect_type, owner_id, event_time, payload_json, status, next_attempt_at) " +
+      "VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', NOW()) " +
+      "ON DUPLICATE KEY UPDATE received_at = NOW(), " +
+      "status = IF(VALUES(event_time) > event_time, 'pending', status), " +
+      "attempts = IF(VALUES(event_time) > event_time, 0, attempts), " +
+      "next_attempt_at = IF(VALUES(event_time) > event_time, NOW(), next_attempt_at), " +
+      "last_error = IF(VALUES(event_time) > event_time, NULL, last_error), " +
+      "payload_json = IF(VALUES(event_time) > event_time, VALUES(payload_json), payload_json), " +
+      "owner_id = IF(VALUES(event_time) > event_time, VALUES(owner_id), owner_id), " +
+      "event_time = GREATEST(event_time, VALUES(event_time))",
+    [
+      uuidv4(),
+      String(body.object_type),
+      String(body.object_id),
+      String(body.aspect_type),
+      body.owner_id ? String(body.owner_id) : null,
+      eventTime,
+      JSON.stringify(body),
+    ]
+  );
+}
+
+// Traitement d'un payload webhook (leve une erreur si a retenter)
+async function handleStravaEvent(body) {
+  if (body.object_type === "athlete") {
+    if (body.aspect_type === "update" && String(body.updates?.authorized) === "false" && body.owner_id) {
+      const account = await getStravaAccountByAthlete(body.owner_id);
+      if (account && (await isStravaAccessRevoked(account))) await revokeStravaAccount(body.owner_id);
+    }
+    return;
+  }
+  if (body.object_type !== "activity") return;
+  const aspect = body.aspect_type;
+  if (aspect !== "create" && aspect !== "update" && aspect !== "delete") return;
+  const activityId = body.object_id;
+  const athleteId = body.owner_id;
+  if (!activityId || !athleteId) return;
+
+  // Meme pour un delete, l'activite est relue chez Strava: on ne supprime que si elle n'existe plus
+  const account = await ensureStravaAccessByAthlete(athleteId);
+  if (!account?.access_token) return;
+  const { activity, notFound } = await fetchStravaActivity(account.access_token, activityId);
+
+  if (aspect === "create") {
+    if (activity) await importStravaActivity(account.user_id, activityId, activity);
+  } else if (aspect === "delete") {
+    if (notFound) await deleteStravaActivitySession(account.user_id, activityId);
+  } else if (notFound) {
+    await deleteStravaActivitySession(account.user_id, activityId);
+  } else {
+    await updateStravaActivitySession(account.user_id, activityId, activity);
+  }
+}
 
-    const dateValue = activity.start_date_local || activity.start_date;
-    const date = String(dateValue || "").split("T")[0];
-    if (!date) return;
-    const startDateTime = toMysqlDateTime(dateValue);
+async function processStravaEvent(row) {
+  // Claim: un seul worker traite l'evenement
+  const [claim] = await pool.query(
+    "UPDATE strava_events SET status = 'processing', attempts = attempts + 1 WHERE id = ? AND status = 'pending'",
+    [row.id]
+  );
+  if (claim.affectedRows === 0) return;
+  const attempts = (Number(row.attempts) || 0) + 1;
 
-    const [dupRows] = await pool.query(
-      "SELECT id FROM sessions WHERE user_id = ? AND (strava_activity_id = ? OR (date = ? AND distance = ? AND type = 'run')) LIMIT 1",
-      [account.user_id, String(activityId), date, distance]
+  try {
+    await handleStravaEvent(JSON.parse(row.payload_json));
+    await pool.query(
+      "UPDATE strava_events SET status = 'done', last_error = NULL, processed_at = NOW() WHERE id = ? AND status = 'processing'",
+      [row.id]
     );
-    if (dupRows?.length) return;
-
-    const newId = uuidv4();
+  } catch (e) {
+    console.error(`Strava event ${row.id} error (attempt ${attempts}):`, e);
+    const failed = attempts >= STRAVA_EVENT_MAX_ATTEMPTS;
+    const delayS = STRAVA_EVENT_RETRY_BASE_S * 2 ** (attempts - 1);
     await pool.query(
-      "INSERT INTO sessions (id, user_id, date, distance, type, strava_activity_id, start_datetime) " +
-        "VALUES (?, ?, ?, ?, ?, ?, ?)",
-      [newId, account.user_id, date, distance, "run", String(activityId), startDateTime]
+      "UPDATE strava_events SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) " +
+        "WHERE id = ? AND status = 'processing'",
+      [failed ? "failed" : "pending", String(e?.message || e).slice(0, 255), delayS, row.id]
     );
+  }
+}
 
-    const challengeCompleted = await handleChallengeCompletion({
-      userId: account.user_id,
-      sessionId: newId,
-      sessionDate: date,
-      distance,
-    });
-    await handleObjectCards({
-      userId: account.user_id,
-      sessionId: newId,
-      sessionDate: date,
-      distance,
-    });
+async function processStravaEvents() {
+  if (stravaEventsRunning) return;
+  stravaEventsRunning = true;
+  try {
+    for (;;) {
+      const [rows] = await pool.query(
+        "SELECT id, attempts, payload_json FROM strava_events " +
+          "WHERE status = 'pending' AND next_attempt_at <= NOW() ORDER BY next_attempt_at ASC LIMIT ?",
+        [STRAVA_EVENT_BATCH_SIZE]
+      );
+      if (!rows?.length) return;
+      for (const row of rows) await processStravaEvent(row);
+      if (rows.length < STRAVA_EVENT_BATCH_SIZE) return;
+    }
+  } finally {
+    stravaEventsRunning = false;
+  }
+}
 
-    void challengeCompleted;
+async function startStravaEventWorker() {
+  // Evenements interrompus par un arret du serveur: remis en file
+  try {
+    await pool.query("UPDATE strava_events SET status = 'pending' WHERE status = 'processing'");
   } catch (e) {
-    console.error("POST /strava/webhook error:", e);
+    console.error("startStravaEventWorker error:", e);
   }
+  const tick = () => processStravaEvents().catch((e) => console.error("processStravaEvents error:", e));
+  setInterval(tick, STRAVA_EVENT_POLL_MS).unref();
+  tick();
+}
+
+/* =========================
+   Import fichiers GPX / TCX
+   - parsing leger et lineaire (walkXml) des points de trace: distance, depart, duree, D+, FC
+   ========================= */
+const ACTIVITY_FILE_MAX_BYTES = 5 * 1024 * 1024;
+const ELEVATION_NOISE_M = 2;
+
+const activityUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ACTIVITY_FILE_MAX_BYTES, files: 1 },
 });
 
-// Infos user courant
-api.get("/auth/me", requireAuth, async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      "SELECT id, email, name, description, avg_distance_m, role, shoe_name, card_image, is_bot, bot_color, bot_border_color, " +
-        "bot_card_type, DATE_FORMAT(bot_event_date, '%Y-%m-%d') AS bot_event_date, bot_drop_rate, bot_target_distance_m, " +
-        "DATE_FORMAT(shoe_start_date, '%Y-%m-%d') AS shoe_start_date, last_victory_seen_id, " +
-        "shoe_target_km FROM users WHERE id = ? LIMIT 1",
-      [req.user.id]
+function xmlAttr(tagXml, attr) {
+  const match = new RegExp(`\\b${attr}="([^"]*)"`).exec(tagXml);
+  return match ? match[1] : null;
+}
+
+// Parcours du XML en un seul passage (indexOf, pas de regex a backtracking sur le document):
+// open(name, attrs, selfClosing) pour chaque balise ouvrante, close(name, text) pour chaque fermeture,
+// text = contenu texte (trim) si l'element n'a pas d'enfant, sinon null.
+// Prefixes de namespace retires (gpxtpx:hr => hr); un "<" sans ">" avant le "<" suivant est ignore.
+function walkXml(xml, { open = () => {}, close = () => {} }) {
+  let pos = 0;
+  let gt = -1;
+  let textStart = -1;
+  for (;;) {
+    const lt = xml.indexOf("<", pos);
+    if (lt === -1) return;
+    // ">" memorise: toujours le premier apres lt tant qu'il est devant (parcours lineaire)
+    if (gt < lt) gt = xml.indexOf(">", lt);
+    if (gt === -1) return;
+    const nextLt = xml.indexOf("<", lt + 1);
+    if (nextLt !== -1 && nextLt < gt) {
+      textStart = -1;
+      pos = nextLt;
+      continue;
+    }
+    const raw = xml.slice(lt + 1, gt);
+    pos = gt + 1;
+    if (raw[0] === "?" || raw[0] === "!") continue;
+    const isClose = raw[0] === "/";
+    const match = /^\/?([^\s/]+)/.exec(raw);
+    if (!match) continue;
+    const name = match[1].slice(match[1].indexOf(":") + 1);
+    if (isClose) {
+      close(name, textStart === -1 ? null : xml.slice(textStart, lt).trim());
+      textStart = -1;
+    } else {
+      const selfClosing = raw.endsWith("/");
+      open(name, raw.slice(match[0].length, selfClosing ? -1 : undefined), selfClosing);
+      textStart = selfClosing ? -1 : pos;
+    }
+  }
+}
+
+function haversineMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+// D+ avec hysteresis pour ignorer le bruit GPS/barometre
+function computeElevationGain(points) {
+  let gain = 0;
+  let ref = null;
+  for (const p of points) {
+    if (!Number.isFinite(p.ele)) continue;
+    if (ref === null) {
+      ref = p.ele;
+    } else if (p.ele - ref >= ELEVATION_NOISE_M) {
+      gain += p.ele - ref;
+      ref = p.ele;
+    } else if (ref - p.ele >= ELEVATION_NOISE_M) {
+      ref = p.ele;
+    }
+  }
+  return Math.round(gain * 10) / 10;
+}
+
+function guessActivityType(label) {
+  const t = String(label || "").toLowerCase();
+  if (t.includes("swim") || t.includes("natation")) return "swim";
+  if (t.includes("run") || t.includes("course") || t.includes("trail") || t.includes("walk")) return "run";
+  return null;
+}
+
+function parseGpx(xml) {
+  const points = [];
+  let point = null;
+  let sportLabel = null;
+  walkXml(xml, {
+    // Points avec contenu (<trkpt ...>...</trkpt>) ou auto-fermants (<trkpt .../>)
+    open(name, attrs, selfClosing) {
+      if (name !== "trkpt" && name !== "rtept") return;
+      const lat = Number(xmlAttr(attrs, "lat"));
+      const lon = Number(xmlAttr(attrs, "lon"));
+      point = null;
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+      point = { lat, lon, ele: NaN, time: null, rawTime: null, hr: NaN };
+      if (selfClosing) {
+        points.push(point);
+        point = null;
+      }
+    },
+    close(name, text) {
+      if (name === "type" && sportLabel === null && text !== null) sportLabel = text;
+      if (!point) return;
+      if (name === "trkpt" || name === "rtept") {
+        points.push(point);
+        point = null;
+      } else if (text !== null) {
+        if (name === "ele" && Number.isNaN(point.ele)) point.ele = Number(text);
+        if (name === "hr" && Number.isNaN(point.hr)) point.hr = Number(text);
+        if (name === "time" && point.rawTime === null) {
+          point.rawTime = text;
+          point.time = new Date(text);
+        }
+      }
+    },
+  });
+  let distance = 0;
+  for (let i = 1; i < points.length; i += 1) distance += haversineMeters(points[i - 1], points[i]);
+  return { points, distance, durationS: null, sportLabel };
+}
+
+function parseTcx(xml) {
+  const points = [];
+  let point = null;
+  let inHeartRate = false;
+  let lap = null;
+  let trackDepth = 0;
+  let lapDistance = 0;
+  let lapDuration = 0;
+  let sportLabel = null;
+  walkXml(xml, {
+    open(name, attrs, selfClosing) {
+      if (selfClosing) return;
+      if (name === "Trackpoint") point = { ele: NaN, time: null, rawTime: null, hr: NaN, dist: NaN };
+      else if (name === "HeartRateBpm") inHeartRate = true;
+      else if (name === "Track") trackDepth += 1;
+      else if (name === "Lap") lap = { distance: null, duration: null };
+      else if (name === "Activity" && sportLabel === null) sportLabel = xmlAttr(attrs, "Sport");
+    },
+    close(name, text) {
+      if (name === "Trackpoint") {
+        if (point) points.push(point);
+        point = null;
+      } else if (name === "HeartRateBpm") {
+        inHeartRate = false;
+      } else if (name === "Track") {
+        trackDepth = Math.max(trackDepth - 1, 0);
+      } else if (name === "Lap") {
+        // Totaux du tour (hors points du Track)
+        if (lap) {
+          lapDistance += Number(lap.distance) || 0;
+          lapDuration += Number(lap.duration) || 0;
+        }
+        lap = null;
+      } else if (text !== null && point) {
+        if (name === "Time" && point.rawTime === null) {
+          point.rawTime = text;
+          point.time = new Date(text);
+        }
+        if (name === "AltitudeMeters" && Number.isNaN(point.ele)) point.ele = Number(text);
+        if (name === "DistanceMeters" && Number.isNaN(point.dist)) point.dist = Number(text);
+        if (name === "Value" && inHeartRate && Number.isNaN(point.hr)) point.hr = Number(text);
+      } else if (text !== null && lap && trackDepth === 0) {
+        if (name === "DistanceMeters" && lap.distance === null) lap.distance = text;
+        if (name === "TotalTimeSeconds" && lap.duration === null) lap.duration = text;
+      }
+    },
+  });
+  // Totaux des tours (Lap) en priorite, sinon derniere distance cumulee des points
+  // reduce plutot que Math.max(...): un long fichier depasse la taille de pile
+  const maxCumulated = points.reduce((max, p) => (Number.isFinite(p.dist) && p.dist > max ? p.dist : max), 0);
+  const distance = lapDistance > 0 ? lapDistance : maxCumulated;
+  return { points, distance, durationS: lapDuration > 0 ? Math.round(lapDuration) : null, sportLabel };
+}
+
+function formatLocalDateTime(date) {
+  const h = String(date.getHours()).padStart(2, "0");
+  const mi = String(date.getMinutes()).padStart(2, "0");
+  const sec = String(date.getSeconds()).padStart(2, "0");
+  return `${getLocalDateString(date)} ${h}:${mi}:${sec}`;
+}
+
+// Date/heure locales du depart: heure "murale" du fichier si l'horodatage porte un decalage (+02:00),
+// sinon conversion dans timeZone (IANA, fourni par le client) ou a defaut dans le fuseau du serveur.
+function getActivityLocalStart(rawTime, date, timeZone) {
+  const offset = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}:\d{2})(?:\.\d+)?[+-]\d{2}:?\d{2}$/.exec(String(rawTime || "").trim());
+  if (offset) return { date: offset[1], datetime: `${offset[1]} ${offset[2]}` };
+  if (timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+      })
+        .formatToParts(date)
+        .map((p) => [p.type, p.value])
     );
-    const user = rows?.[0];
-    if (!user) return res.status(404).json({ error: "not_found" });
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        avg_distance_m: user.avg_distance_m ?? null,
-        description: user.description || null,
-        role: user.role,
-        is_bot: !!user.is_bot,
-        bot_color: user.bot_color || null,
-        bot_border_color: user.bot_border_color || null,
-        bot_card_type: user.bot_card_type || null,
-        bot_event_date: user.bot_event_date || null,
-        bot_drop_rate: user.bot_drop_rate ?? null,
-        bot_target_distance_m: user.bot_target_distance_m ?? null,
-        bot_season_int: user.bot_season_int ?? null,
-        shoe_name: user.shoe_name || null,
-        card_image: user.card_image || null,
-        shoe_start_date: user.shoe_start_date || null,
-        shoe_target_km: user.shoe_target_km ?? null,
-        last_victory_seen_id: user.last_victory_seen_id || null,
-      },
-    });
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    return { date: day, datetime: `${day} ${parts.hour}:${parts.minute}:${parts.second}` };
+  }
+  return { date: getLocalDateString(date), datetime: formatLocalDateTime(date) };
+}
+
+function isValidTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
   } catch (e) {
-    console.error("GET /auth/me error:", e);
-    res.status(500).json({ error: e.message });
+    return false;
   }
-});
+}
 
-// Marquer la derniere victoire comme vue
-api.post("/me/victory/seen", requireAuth, async (req, res) => {
+// Renvoie { session } ou { error }
+function parseActivityFile(buffer, filename, timeZone = null) {
+  const xml = buffer.toString("utf-8");
+  const ext = path.extname(String(filename || "")).toLowerCase();
+  let parsed = null;
+  let format = null;
+  if (ext === ".tcx" || /<TrainingCenterDatabase\b/.test(xml)) {
+    parsed = parseTcx(xml);
+    format = "tcx";
+  } else if (ext === ".gpx" || /<gpx\b/.test(xml)) {
+    parsed = parseGpx(xml);
+    format = "gpx";
+  } else {
+    return { error: "format de fichier non supporte (gpx|tcx)" };
+  }
+
+  const timed = parsed.points.filter((p) => p.time && !Number.isNaN(p.time.getTime()));
+  if (!timed.length) return { error: "fichier sans horodatage" };
+  const distance = Math.round(parsed.distance);
+  if (!(distance > 0)) return { error: "distance introuvable dans le fichier" };
+
+  const start = timed[0].time;
+  const localStart = getActivityLocalStart(timed[0].rawTime, start, timeZone);
+  const elapsed = Math.round((timed[timed.length - 1].time.getTime() - start.getTime()) / 1000);
+  const durationS = parsed.durationS || (elapsed > 0 ? elapsed : null);
+  const hrs = parsed.points.map((p) => p.hr).filter((v) => Number.isFinite(v) && v > 0);
+  const avgHr = hrs.length ? Math.round(hrs.reduce((sum, v) => sum + v, 0) / hrs.length) : null;
+  const elevationGain = computeElevationGain(parsed.points);
+
+  return {
+    format,
+    session: {
+      date: localStart.date,
+      distance,
+      type: guessActivityType(parsed.sportLabel),
+      extras: {
+        start_datetime: localStart.datetime,
+        duration_s: durationS,
+        elevation_gain_m: parsed.points.some((p) => Number.isFinite(p.ele)) ? elevationGain : null,
+        avg_hr: avgHr,
+      },
+    },
+  };
+}
+
+/* =========================
+   Export / import en masse (CSV | JSON)
+   ========================= */
+const SESSION_EXPORT_COLUMNS = [
+  "id",
+  "date",
+  "type",
+  "distance",
+  "duration_s",
+  "elevation_gain_m",
+  "avg_hr",
+  "perceived_effort",
+  "notes",
+  "start_datetime",
+  "strava_activity_id",
+  "created_at",
+];
+const BULK_MAX_ROWS = 1000;
+const BULK_BATCH_SIZE = 200;
+
+function csvEscape(value) {
+  if (value === null || typeof value === "undefined") return "";
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvEscape(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// CSV RFC 4180 (guillemets, virgules et retours ligne dans les champs) => objets par en-tete
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i += 1) {
+    const c = src[i];
+    if (inQuotes) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ",") {
+      record.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const nonEmpty = records.filter((r) => r.some((v) => v.trim() !== ""));
+  if (!nonEmpty.length) return [];
+  const header = nonEmpty[0].map((h) => h.trim().toLowerCase());
+  return nonEmpty.slice(1).map((r) => {
+    const obj = {};
+    header.forEach((h, idx) => {
+      obj[h] = typeof r[idx] === "undefined" ? "" : r[idx];
+    });
+    return obj;
+  });
+}
+
+// Validation d'une ligne importee => { value } ou { error }
+function validateSessionInput(input) {
+  if (!isValidDateString(input?.date)) return { error: "date invalide (YYYY-MM-DD)" };
+  const distNum = validateDistance(input?.distance);
+  if (!distNum) return { error: "distance invalide" };
+  const t = normalizeType(input?.type);
+  if (!isValidType(t)) return { error: "type invalide (swim|run)" };
+  const { extras, error } = validateSessionExtras(input);
+  if (error) return { error };
+  return { value: { date: String(input.date), distance: distNum, type: t, extras } };
+}
+
+function sessionDedupKey(date, distance, type) {
+  return `${date}|${Number(distance)}|${type}`;
+}
+
+/* =========================
+   Router API
+   ========================= */
+const api = express.Router();
+api.use(rateLimitByGroup);
+
+/* =========================
+   News (événements spéciaux)
+   - brouillon (draft) ou publie, avec fenetre published_at / expires_at optionnelle
+   - evenements a venir d'abord (event_date croissante), puis le reste du plus recent au plus ancien
+   ========================= */
+const NEWS_STATUSES = ["draft", "published"];
+const NEWS_STATES = ["draft", "scheduled", "live", "expired"];
+const NEWS_SELECT =
+  "SELECT id, title, subtitle, city, image_url, image_focus_y, link_url, show_event_date, status, " +
+  "DATE_FORMAT(event_date, '%Y-%m-%d') AS event_date, " +
+  "DATE_FORMAT(published_at, '%Y-%m-%d %H:%i:%s') AS published_at, " +
+  "DATE_FORMAT(expires_at, '%Y-%m-%d %H:%i:%s') AS expires_at, " +
+  "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at, " +
+  "CASE WHEN status = 'draft' THEN 'draft' " +
+  "WHEN published_at IS NOT NULL AND published_at > NOW() THEN 'scheduled' " +
+  "WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'expired' " +
+  "ELSE 'live' END AS state " +
+  "FROM news_items";
+const NEWS_LIVE_WHERE =
+  "status = 'published' AND (published_at IS NULL OR published_at <= NOW()) " +
+  "AND (expires_at IS NULL OR expires_at > NOW())";
+const NEWS_ORDER =
+  "ORDER BY (event_date >= CURDATE()) DESC, " +
+  "CASE WHEN event_date >= CURDATE() THEN event_date END ASC, " +
+  "COALESCE(published_at, created_at) DESC, event_date DESC";
+
+api.get("/news", async (req, res) => {
   try {
-    const victoryId = req.body?.victory_id;
-    if (!victoryId) return res.status(400).json({ error: "victory_id requis" });
-    await pool.query(
-      "UPDATE users SET last_victory_seen_id = ? WHERE id = ?",
-      [String(victoryId), req.user.id]
-    );
-    res.json({ ok: true });
+    const limitRaw = Number(req.query.limit);
+    const offsetRaw = Number(req.query.offset);
+    const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 50) : null;
+    const offset = Number.isFinite(offsetRaw) && offsetRaw >= 0 ? offsetRaw : 0;
+    const baseSql =
+      "SELECT id, title, subtitle, city, image_url, image_focus_y, link_url, show_event_date, " +
+      "DATE_FORMAT(event_date, '%Y-%m-%d') AS event_date, " +
+      "DATE_FORMAT(COALESCE(published_at, created_at), '%Y-%m-%d %H:%i:%s') AS published_at, " +
+      "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
+      `FROM news_items WHERE ${NEWS_LIVE_WHERE} ${NEWS_ORDER}`;
+    const [rows] = limit
+      ? await pool.query(`${baseSql} LIMIT ? OFFSET ?`, [limit, offset])
+      : await pool.query(baseSql);
+    res.json(Array.isArray(rows) ? rows : []);
   } catch (e) {
-    console.error("POST /me/victory/seen error:", e);
-    res.status(500).json({ error: e.message });
+    console.error("GET /news error:", e);
+    res.status(500).json({ error: "news_error" });
   }
 });
+api.use(blockBrowserNav);
 
-// Derniere victoire non vue
-api.get("/me/victory/latest", requireAuth, async (req, res) => {
+// Healthcheck DB + app
+api.get("/health", async (_req, res) => {
   try {
-    const [userRows] = await pool.query("SELECT last_victory_seen_id FROM users WHERE id = ? LIMIT 1", [req.user.id]);
-    const lastSeen = userRows?.[0]?.last_victory_seen_id || null;
-    const [rows] = await pool.query(
-      "SELECT r.id, r.bot_id, u.name AS bot_name, r.type, r.distance_m, r.target_distance_m, r.session_id, " +
-        "DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS achieved_at_time " +
-        "FROM user_card_results r LEFT JOIN users u ON u.id = r.bot_id " +
-        "WHERE r.user_id = ? AND r.type IN ('defi','rare','evenement') " +
-        "ORDER BY COALESCE(r.achieved_at, r.created_at) DESC, r.created_at DESC, r.id DESC LIMIT 1",
-      [req.user.id]
-    );
-    const latest = rows?.[0] || null;
-    if (!latest?.id) return res.json({ victory: null });
-    if (lastSeen && String(lastSeen) === String(latest.id)) return res.json({ victory: null });
-    res.json({ victory: latest });
+    const [rows] = await pool.query("SELECT 1 AS ok");
+    res.json({ ok: true, db: rows?.[0]?.ok === 1 });
   } catch (e) {
-    console.error("GET /me/victory/latest error:", e);
-    res.status(500).json({ error: e.message });
+    res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// Login email/mot de passe
+api.post("/auth/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) return res.status(400).json({ error: "missing_credentials" });
 
-// Compat: check auth (ancien endpoint)
-api.get("/auth/check", requireAuth, (_req, res) => {
-  res.json({ ok: true });
-});
+    const lockKeys = getLoginLockKeys(req, normalizeEmail(email));
+    const lockedUntil = await getLoginLockout(lockKeys);
+    if (lockedUntil) return sendTooManyRequests(res, lockedUntil);
 
-// Liste des sessions globales (public)
-api.get("/sessions", async (req, res) => {
-  try {
-    const type = req.query?.type ? normalizeType(req.query.type) : null;
+    const [rows] = await pool.query(
+      `${AUTH_USER_SELECT} WHERE email = ? LIMIT 1`,
+      [normalizeEmail(email)]
+    );
 
-    if (type && !isValidType(type)) {
-      return res.status(400).json({ error: "type invalide (swim|run)" });
+    const user = rows?.[0];
+    if (!user) {
+      await recordLoginFailure(lockKeys);
+      return res.status(401).json({ error: "invalid_credentials" });
     }
 
-    const from = isValidDateString(req.query?.from) ? req.query.from : null;
-    const to = isValidDateString(req.query?.to) ? req.query.to : null;
-
-    const userId = req.query?.user_id ? String(req.query.user_id) : null;
-    const activeSeason = await getActiveSeasonInfo();
-    let sql =
-      "SELECT s.id, DATE_FORMAT(s.date, '%Y-%m-%d') AS date, DATE_FORMAT(s.created_at, '%Y-%m-%d %H:%i:%s') AS created_at, s.distance, s.type, s.user_id, s.strava_activity_id, " +
-      "u.name AS user_name, u.is_bot AS is_bot, " +
-      "r.id AS challenge_id, r.type AS challenge_type, r.distance_m AS challenge_distance_m, " +
-      "r.target_distance_m AS challenge_target_distance_m, r.bot_id AS challenge_bot_id, " +
-      "b.name AS challenge_bot_name, DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS challenge_achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS challenge_achieved_at_time, " +
-      "l.likes_count AS likes_count " +
-      "FROM sessions s " +
-      "LEFT JOIN users u ON u.id = s.user_id " +
-      "LEFT JOIN (" +
-      "  SELECT r1.* FROM user_card_results r1 " +
-      "  INNER JOIN (" +
-      "    SELECT session_id, MIN(created_at) AS created_at " +
-      "    FROM user_card_results WHERE session_id IS NOT NULL " +
-      "    GROUP BY session_id" +
-      "  ) r2 ON r1.session_id = r2.session_id AND r1.created_at = r2.created_at" +
-      ") r ON r.session_id = s.id AND r.user_id = s.user_id " +
-      "LEFT JOIN users b ON b.id = r.bot_id " +
-      "LEFT JOIN (" +
-      "  SELECT session_id, COUNT(*) AS likes_count FROM session_likes GROUP BY session_id" +
-      ") l ON l.session_id = s.id";
-    const params = [];
-    const conds = [];
+    if (user.is_bot) return res.status(403).json({ error: "bot_account" });
 
-    if (type) {
-      conds.push("s.type = ?");
-      params.push(type);
-    }
-    if (userId) {
-      conds.push("s.user_id = ?");
-      params.push(userId);
-    }
-    if (from && to) {
-      conds.push("s.date BETWEEN ? AND ?");
-      params.push(from, to);
-    } else if (from) {
-      conds.push("s.date >= ?");
-      params.push(from);
-    } else if (to) {
-      conds.push("s.date <= ?");
-      params.push(to);
-    }
-    if (activeSeason?.season_number !== null && activeSeason?.season_number !== undefined) {
-      conds.push("(u.is_bot = 0 OR u.bot_season_int IS NULL OR u.bot_season_int <= ?)");
-      params.push(activeSeason.season_number);
-    } else {
-      conds.push("(u.is_bot = 0 OR u.bot_season_int IS NULL)");
+    const ok = await bcrypt.compare(String(password), user.password_hash);
+    if (!ok) {
+      await recordLoginFailure(lockKeys);
+      return res.status(401).json({ error: "invalid_credentials" });
     }
-    if (conds.length) {
-      sql += " WHERE " + conds.join(" AND ");
+    await clearLoginFailures(lockKeys);
+
+    if (user.totp_enabled) {
+      const challengeToken = createTwoFactorChallenge(user.id);
+      if (!challengeToken) return res.status(500).json({ error: "missing_jwt_secret" });
+      return res.json({ two_factor_required: true, challenge_token: challengeToken });
     }
 
-    sql += " ORDER BY s.date ASC";
+    const tokens = await issueAuthTokens(user);
+    if (!tokens) return res.status(500).json({ error: "missing_jwt_secret" });
 
-    const [rows] = await pool.query(sql, params);
-    res.json(rows.map(mapSessionRow));
+    res.json({ ...tokens, user: mapAuthUser(user) });
   } catch (e) {
-    console.error("GET /sessions error:", e);
+    console.error("POST /auth/login error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Likes des sessions du user courant
-api.get("/me/session-likes", requireAuth, async (req, res) => {
+// Login etape 2 (2FA): code TOTP ou code de secours
+api.post("/auth/login/2fa", async (req, res) => {
   try {
-    const [rows] = await pool.query(
-      "SELECT session_id FROM session_likes WHERE user_id = ?",
-      [req.user.id]
-    );
-    res.json(rows.map((r) => r.session_id));
+    const { challenge_token, code, recovery_code } = req.body || {};
+    if (!challenge_token || (!code && !recovery_code)) return res.status(400).json({ error: "missing_fields" });
+    const userId = parseTwoFactorChallenge(challenge_token);
+    if (!userId) return res.status(401).json({ error: "invalid_challenge" });
+
+    const lockKeys = getLoginLockKeys(req, `2fa:${userId}`);
+    const lockedUntil = await getLoginLockout(lockKeys);
+    if (lockedUntil) return sendTooManyRequests(res, lockedUntil);
+
+    const [rows] = await pool.query(`${AUTH_USER_SELECT} WHERE id = ? LIMIT 1`, [userId]);
+    const user = rows?.[0];
+    if (!user || user.is_bot || !user.totp_enabled) return res.status(401).json({ error: "invalid_challenge" });
+
+    const ok = await consumeSecondFactor(user, { code, recovery_code });
+    if (!ok) {
+      await recordLoginFailure(lockKeys);
+      return res.status(401).json({ error: "invalid_code" });
+    }
+    await clearLoginFailures(lockKeys);
+
+    const tokens = await issueAuthTokens(user);
+    if (!tokens) return res.status(500).json({ error: "missing_jwt_secret" });
+    res.json({ ...tokens, user: mapAuthUser(user) });
   } catch (e) {
-    console.error("GET /me/session-likes error:", e);
+    console.error("POST /auth/login/2fa error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Like / unlike d'une session
-api.post("/sessions/:id/like", requireAuth, async (req, res) => {
+// Inscription avec code d'invitation
+api.post("/auth/register", async (req, res) => {
+  const { email, password, name, invite_code } = req.body || {};
+  const cleanEmail = normalizeEmail(email);
+  const cleanName = String(name || "").trim();
+  const code = String(invite_code || "").trim().toUpperCase();
+
+  if (!code) return res.status(400).json({ error: "missing_invite_code" });
+  if (!cleanEmail || !password || !cleanName) return res.status(400).json({ error: "missing_fields" });
+  if (!isValidEmail(cleanEmail)) return res.status(400).json({ error: "invalid_email" });
+  if (String(password).length < PASSWORD_MIN_LENGTH) return res.status(400).json({ error: "password_too_short" });
+  if (cleanName.length > 64) return res.status(400).json({ error: "invalid_name" });
+  if (!JWT_SECRET) return res.status(500).json({ error: "missing_jwt_secret" });
+
+  let conn = null;
   try {
-    const sessionId = req.params?.id;
-    if (!sessionId) return res.status(400).json({ error: "session_id requis" });
+    const [nameRows] = await pool.query(
+      "SELECT id FROM users WHERE is_bot = 1 AND LOWER(name) = LOWER(?) LIMIT 1",
+      [cleanName]
+    );
+    if (nameRows?.length) return res.status(409).json({ error: "name_reserved" });
 
-    const [sessionRows] = await pool.query("SELECT user_id FROM sessions WHERE id = ? LIMIT 1", [sessionId]);
-    if (!sessionRows?.length) return res.status(404).json({ error: "session introuvable" });
+    const [emailRows] = await pool.query("SELECT id FROM users WHERE email = ? LIMIT 1", [cleanEmail]);
+    if (emailRows?.length) return res.status(409).json({ error: "email_taken" });
 
-    if (String(sessionRows[0].user_id) === String(req.user.id)) {
-      return res.status(403).json({ error: "auto-like interdit" });
-    }
+    const passwordHash = await bcrypt.hash(String(password), 10);
+    const userId = uuidv4();
 
-    const [likeRows] = await pool.query(
-      "SELECT id FROM session_likes WHERE session_id = ? AND user_id = ? LIMIT 1",
-      [sessionId, req.user.id]
-    );
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    let liked = false;
-    if (likeRows?.length) {
-      await pool.query("DELETE FROM session_likes WHERE id = ?", [likeRows[0].id]);
-      liked = false;
-    } else {
-      await pool.query(
-        "INSERT INTO session_likes (id, session_id, user_id) VALUES (?, ?, ?)",
-        [uuidv4(), sessionId, req.user.id]
-      );
-      liked = true;
+    const [inviteRows] = await conn.query(
+      "SELECT id FROM invite_codes WHERE code = ? AND revoked_at IS NULL " +
+        "AND (expires_at IS NULL OR expires_at > NOW()) AND uses_count < max_uses LIMIT 1 FOR UPDATE",
+      [code]
+    );
+    const invite = inviteRows?.[0];
+    if (!invite) {
+      await conn.rollback();
+      return res.status(400).json({ error: "invalid_invite_code" });
     }
 
-    const [countRows] = await pool.query(
-      "SELECT COUNT(*) AS total FROM session_likes WHERE session_id = ?",
-      [sessionId]
+    await conn.query(
+      "INSERT INTO users (id, email, name, role, password_hash, is_bot) VALUES (?, ?, ?, 'user', ?, 0)",
+      [userId, cleanEmail, cleanName, passwordHash]
     );
-    res.json({ liked, likes_count: countRows?.[0]?.total || 0 });
+    await conn.query(
+      "UPDATE invite_codes SET uses_count = uses_count + 1, last_used_at = NOW() WHERE id = ?",
+      [invite.id]
+    );
+    await conn.commit();
+
+    const user = { id: userId, email: cleanEmail, name: cleanName, role: "user", is_bot: 0 };
+    const tokens = await issueAuthTokens(user);
+    res.status(201).json({ ...tokens, user: mapAuthUser(user) });
   } catch (e) {
-    console.error("POST /sessions/:id/like error:", e);
+    if (conn) await conn.rollback().catch(() => {});
+    if (e?.code === "ER_DUP_ENTRY") return res.status(409).json({ error: "email_taken" });
+    console.error("POST /auth/register error:", e);
     res.status(500).json({ error: e.message });
+  } finally {
+    if (conn) conn.release();
   }
 });
 
-// Dashboard global public
-api.get("/dashboard/global", async (_req, res) => {
+// Rotation du refresh token (un token deja utilise => toute la famille est revoquee)
+api.post("/auth/refresh", async (req, res) => {
+  const raw = req.body?.refresh_token;
+  if (!raw) return res.status(400).json({ error: "missing_refresh_token" });
+  if (!JWT_SECRET) return res.status(500).json({ error: "missing_jwt_secret" });
+
+  let conn = null;
   try {
-    const [totalsRows] = await pool.query(
-      "SELECT COUNT(*) AS sessions, SUM(distance) AS distance, " +
-        "SUM(CASE WHEN type='swim' THEN distance ELSE 0 END) AS swim_distance, " +
-        "SUM(CASE WHEN type='run' THEN distance ELSE 0 END) AS run_distance " +
-        "FROM sessions"
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      "SELECT r.id, r.user_id, r.family_id, r.revoked_at, r.replaced_by, (r.expires_at > NOW()) AS is_valid, " +
+        "u.email, u.role, u.token_version, u.is_bot " +
+        "FROM refresh_tokens r JOIN users u ON u.id = r.user_id WHERE r.token_hash = ? LIMIT 1 FOR UPDATE",
+      [hashToken(raw)]
     );
+    const row = rows?.[0];
+    if (!row) {
+      await conn.rollback();
+      return res.status(401).json({ error: "invalid_refresh_token" });
+    }
+    if (row.revoked_at) {
+      if (row.replaced_by) {
+        await conn.query(
+          "UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL",
+          [row.family_id]
+        );
+        await conn.commit();
+        return res.status(401).json({ error: "refresh_token_reused" });
+      }
+      await conn.rollback();
+      return res.status(401).json({ error: "invalid_refresh_token" });
+    }
+    if (!Number(row.is_valid) || row.is_bot) {
+      await conn.rollback();
+      return res.status(401).json({ error: "invalid_refresh_token" });
+    }
 
-    const [byUserRows] = await pool.query(
-      "SELECT s.user_id, u.name AS user_name, COUNT(*) AS sessions, SUM(s.distance) AS distance, " +
-        "SUM(CASE WHEN s.type='swim' THEN s.distance ELSE 0 END) AS swim_distance, " +
-        "SUM(CASE WHEN s.type='run' THEN s.distance ELSE 0 END) AS run_distance " +
-        "FROM sessions s LEFT JOIN users u ON u.id = s.user_id " +
-        "GROUP BY s.user_id, u.name " +
-        "ORDER BY distance DESC"
+    const next = await createRefreshToken(row.user_id, row.family_id, conn);
+    await conn.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?",
+      [next.id, row.id]
     );
+    await conn.commit();
 
-    res.json({
-      totals: {
-        sessions: totalsRows?.[0]?.sessions || 0,
-        distance: totalsRows?.[0]?.distance || 0,
-        swim_distance: totalsRows?.[0]?.swim_distance || 0,
-        run_distance: totalsRows?.[0]?.run_distance || 0,
-      },
-      users: byUserRows || [],
-    });
+    const token = signToken({ id: row.user_id, email: row.email, role: row.role, token_version: row.token_version });
+    res.json({ token, refresh_token: next.token });
   } catch (e) {
-    console.error("GET /dashboard/global error:", e);
+    if (conn) await conn.rollback().catch(() => {});
+    console.error("POST /auth/refresh error:", e);
     res.status(500).json({ error: e.message });
+  } finally {
+    if (conn) conn.release();
   }
 });
 
+// Deconnexion de l'appareil courant (revoque la famille du refresh token)
+api.post("/auth/logout", async (req, res) => {
+  try {
+    const raw = req.body?.refresh_token;
+    if (!raw) return res.status(400).json({ error: "missing_refresh_token" });
+    const [rows] = await pool.query(
+      "SELECT family_id FROM refresh_tokens WHERE token_hash = ? LIMIT 1",
+      [hashToken(raw)]
+    );
+    const familyId = rows?.[0]?.family_id;
+    if (familyId) {
+      await pool.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL",
+        [familyId]
+      );
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("POST /auth/logout error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-// Saison active (public)
-api.get("/season/active", async (_req, res) => {
+// Deconnexion de tous les appareils (refresh tokens + access tokens deja emis)
+api.post("/auth/logout-all", requireAuth, async (req, res) => {
   try {
-    const active = await getActiveSeasonInfo();
-    res.json(active);
+    await revokeRefreshTokens(req.user.id);
+    await pool.query("UPDATE users SET token_version = token_version + 1 WHERE id = ?", [req.user.id]);
+    res.json({ ok: true });
   } catch (e) {
-    console.error("GET /season/active error:", e);
+    console.error("POST /auth/logout-all error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Liste des saisons (public)
-api.get("/seasons", async (_req, res) => {
+// Mot de passe oublie: lien de reinitialisation si le compte existe, envoye hors requete
+async function sendPasswordReset(email) {
+  const [rows] = await pool.query(
+    "SELECT id, email, name FROM users WHERE email = ? AND is_bot = 0 LIMIT 1",
+    [email]
+  );
+  const user = rows?.[0];
+  if (!user) return;
+  const token = crypto.randomBytes(32).toString("hex");
+  await pool.query(
+    "INSERT INTO password_resets (id, user_id, token_hash, expires_at) " +
+      "VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))",
+    [uuidv4(), user.id, hashToken(token), PASSWORD_RESET_TTL_MIN]
+  );
+  const sep = PASSWORD_RESET_URL.includes("?") ? "&" : "?";
+  await mailer.send({
+    to: user.email,
+    subject: "NaTrack - Reinitialisation du mot de passe",
+    text:
+      `Salut ${user.name},\n\n` +
+      `Pour choisir un nouveau mot de passe, ouvre ce lien (valable ${PASSWORD_RESET_TTL_MIN} min) :\n` +
+      `${PASSWORD_RESET_URL}${sep}token=${token}\n\n` +
+      "Si tu n'es pas a l'origine de cette demande, ignore ce message.",
+  });
+}
+
+// Reponse identique et immediate que le compte existe ou non (pas d'enumeration par le statut ou le temps de reponse);
+// les erreurs DB / SMTP sont seulement loggees. Quota par email (connu ou non) pour ne pas inonder une boite mail
+api.post("/auth/forgot-password", async (req, res) => {
   try {
-    const [rows] = await pool.query(
-      "SELECT season_number, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date " +
-        "FROM seasons ORDER BY start_date ASC, season_number ASC"
+    const email = normalizeEmail(req.body?.email);
+    if (!email) return res.status(400).json({ error: "missing_email" });
+    const { max, windowMs } = RATE_LIMITS.password_reset_email;
+    const { count, resetAt } = await rateLimitStore.hit(`password_reset_email:${email}`, windowMs);
+    if (count > max) return sendTooManyRequests(res, resetAt);
+    sendPasswordReset(email).catch((e) => console.error("POST /auth/forgot-password error:", e));
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("POST /auth/forgot-password error:", e);
+    res.status(500).json({ error: "forgot_password_error" });
+  }
+});
+
+// Reinitialisation avec le token recu par mail (usage unique)
+api.post("/auth/reset-password", async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) return res.status(400).json({ error: "missing_fields" });
+  if (String(password).length < PASSWORD_MIN_LENGTH) return res.status(400).json({ error: "password_too_short" });
+
+  let conn = null;
+  try {
+    const passwordHash = await bcrypt.hash(String(password), 10);
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      "SELECT id, user_id FROM password_resets " +
+        "WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW() LIMIT 1 FOR UPDATE",
+      [hashToken(token)]
     );
-    res.json(rows || []);
+    const reset = rows?.[0];
+    if (!reset) {
+      await conn.rollback();
+      return res.status(400).json({ error: "invalid_or_expired_token" });
+    }
+
+    await conn.query(
+      "UPDATE users SET password_hash = ?, token_version = token_version + 1 WHERE id = ? AND is_bot = 0",
+      [passwordHash, reset.user_id]
+    );
+    await conn.query(
+      "UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+      [reset.user_id]
+    );
+    await revokeRefreshTokens(reset.user_id, conn);
+    await conn.commit();
+    res.json({ ok: true });
   } catch (e) {
-    console.error("GET /seasons error:", e);
+    if (conn) await conn.rollback().catch(() => {});
+    console.error("POST /auth/reset-password error:", e);
     res.status(500).json({ error: e.message });
+  } finally {
+    if (conn) conn.release();
   }
 });
 
-// Liste publique des utilisateurs
-api.get("/users/public", async (_req, res) => {
+// Strava OAuth connect
+api.get("/strava/connect", requireAuth, (req, res) => {
+  if (!STRAVA_CLIENT_ID || !STRAVA_REDIRECT_URI) {
+    return res.status(500).json({ error: "missing_strava_config" });
+  }
+  const state = createStravaState(req.user.id);
+  if (!state) return res.status(500).json({ error: "missing_jwt_secret" });
+  const params = new URLSearchParams({
+    client_id: STRAVA_CLIENT_ID,
+    redirect_uri: STRAVA_REDIRECT_URI,
+    response_type: "code",
+    approval_prompt: "auto",
+    scope: "activity:read_all",
+    state,
+  });
+  const url = STRAVA_STUB
+    ? `${STRAVA_REDIRECT_URI}?${new URLSearchParams({ code: `stub_${getStubAthleteId(req.user.id)}`, state }).toString()}`
+    : `https://www.strava.com/oauth/authorize?${params.toString()}`;
+  if (String(req.query?.redirect) === "1") return res.redirect(url);
+  return res.json({ url });
+});
+
+// Strava status (user)
+api.get("/strava/status", requireAuth, async (req, res) => {
   try {
-    const activeSeason = await getActiveSeasonInfo();
-    const params = [];
-    let sql =
-      "SELECT u.id, u.name, u.description, u.avg_distance_m, u.shoe_name, u.card_image, u.is_bot, u.bot_color, u.bot_border_color, " +
-      "u.bot_card_type, DATE_FORMAT(u.bot_event_date, '%Y-%m-%d') AS bot_event_date, u.bot_drop_rate, u.bot_target_distance_m, u.bot_season_int, u.created_at, " +
-      "DATE_FORMAT(u.shoe_start_date, '%Y-%m-%d') AS shoe_start_date, " +
-      "u.shoe_target_km, IF(sa.user_id IS NULL, 0, 1) AS strava_connected, " +
-      "IFNULL(uc.cards_defi, 0) AS cards_defi, IFNULL(uc.cards_rare, 0) AS cards_rare, IFNULL(uc.cards_evenement, 0) AS cards_evenement, IFNULL(upc.cards_user, 0) AS cards_user, " +
-      "uc.cards_last_unique_at AS cards_last_unique_at " +
-      "FROM users u LEFT JOIN strava_accounts sa ON sa.user_id = u.id " +
-      "LEFT JOIN (" +
-      "  SELECT user_id, " +
-      "  COUNT(DISTINCT CASE WHEN type = 'defi' THEN bot_id END) AS cards_defi, " +
-      "  COUNT(DISTINCT CASE WHEN type = 'rare' THEN bot_id END) AS cards_rare, " +
-      "  COUNT(DISTINCT CASE WHEN type = 'evenement' THEN bot_id END) AS cards_evenement, " +
-      "  DATE_FORMAT(MAX(first_at), '%Y-%m-%d %H:%i:%s') AS cards_last_unique_at " +
-      "  FROM (" +
-      "    SELECT user_id, bot_id, type, MIN(created_at) AS first_at " +
-      "    FROM user_card_results WHERE type IN ('defi','rare','evenement') GROUP BY user_id, bot_id, type" +
-      "  ) ucr GROUP BY user_id" +
-      ") uc ON uc.user_id = u.id " +
-      "LEFT JOIN (" +
-      "  SELECT user_id, COUNT(DISTINCT target_user_id) AS cards_user " +
-      "  FROM user_player_card_results WHERE target_user_id <> user_id GROUP BY user_id" +
-      ") upc ON upc.user_id = u.id";
-    const upcomingEventCond =
-      "(u.is_bot = 1 AND u.bot_card_type = 'evenement' AND u.bot_event_date IS NOT NULL AND u.bot_event_date >= CURDATE())";
-    if (activeSeason?.season_number !== null && activeSeason?.season_number !== undefined) {
-      sql += " WHERE (u.is_bot = 0 OR u.bot_season_int IS NULL OR u.bot_season_int <= ? OR " + upcomingEventCond + ")";
-      params.push(activeSeason.season_number);
-    } else {
-      sql += " WHERE (u.is_bot = 0 OR u.bot_season_int IS NULL OR " + upcomingEventCond + ")";
+    const account = await getStravaAccountByUser(req.user.id);
+    if (!account) {
+      const [revokedRows] = await pool.query(
+        "SELECT athlete_id, DATE_FORMAT(revoked_at, '%Y-%m-%d %H:%i:%s') AS revoked_at " +
+          "FROM strava_accounts WHERE user_id = ? AND revoked_at IS NOT NULL LIMIT 1",
+        [req.user.id]
+      );
+      const revoked = revokedRows?.[0];
+      if (revoked) {
+        return res.json({ connected: false, revoked: true, athlete_id: revoked.athlete_id, revoked_at: revoked.revoked_at });
+      }
+      return res.json({ connected: false });
     }
-    sql += " ORDER BY name ASC";
-    const [rows] = await pool.query(sql, params);
-    res.json(rows);
+    res.json({
+      connected: true,
+      athlete_id: account.athlete_id,
+      expires_at: account.expires_at,
+    });
   } catch (e) {
-    console.error("GET /users/public error:", e);
-    res.status(500).json({ error: e.message });
+    console.error("GET /strava/status error:", e);
+    res.status(500).json({ error: "strava_status_error" });
   }
 });
 
-// Progression chaussures (user courant)
-api.get("/me/shoe-progress", requireAuth, async (req, res) => {
+// Strava disconnect (user)
+api.post("/strava/disconnect", requireAuth, async (req, res) => {
+  try {
+    await pool.query("DELETE FROM strava_accounts WHERE user_id = ?", [req.user.id]);
+    res.json({ disconnected: true });
+  } catch (e) {
+    console.error("POST /strava/disconnect error:", e);
+    res.status(500).json({ error: "strava_disconnect_error" });
+  }
+});
+
+// Strava import logs (user): sessions importees + activites ignorees (avec raison)
+api.get("/strava/logs", requireAuth, async (req, res) => {
   try {
+    const limit = Math.min(Number(req.query?.limit) || 10, 50);
     const [rows] = await pool.query(
-      "SELECT shoe_name, DATE_FORMAT(shoe_start_date, '%Y-%m-%d') AS shoe_start_date, shoe_target_km " +
-        "FROM users WHERE id = ? LIMIT 1",
-      [req.user.id]
+      "SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, distance, type, strava_activity_id, " +
+        "DATE_FORMAT(start_datetime, '%Y-%m-%d %H:%i:%s') AS start_datetime, " +
+        "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
+        "FROM sessions WHERE user_id = ? AND strava_activity_id IS NOT NULL " +
+        "ORDER BY COALESCE(start_datetime, created_at, date) DESC LIMIT ?",
+      [req.user.id, limit]
     );
-    const user = rows?.[0] || null;
-    if (!user || !user.shoe_start_date) {
-      return res.json({ shoe_name: user?.shoe_name || null, shoe_start_date: null, shoe_target_km: user?.shoe_target_km || null, used_m: 0 });
-    }
-    const [sumRows] = await pool.query(
-      "SELECT SUM(distance) AS total_m FROM sessions WHERE user_id = ? AND type = 'run' AND date >= ?",
-      [req.user.id, user.shoe_start_date]
+    const [skippedRows] = await pool.query(
+      "SELECT id, DATE_FORMAT(start_datetime, '%Y-%m-%d') AS date, distance, strava_activity_id, reason, strava_type, sport_type, " +
+        "DATE_FORMAT(start_datetime, '%Y-%m-%d %H:%i:%s') AS start_datetime, " +
+        "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
+        "FROM strava_import_logs WHERE user_id = ? " +
+        "ORDER BY COALESCE(start_datetime, created_at) DESC LIMIT ?",
+      [req.user.id, limit]
     );
-    const used_m = Number(sumRows?.[0]?.total_m) || 0;
+    const imported = (rows || []).map((row) => ({ ...row, status: "imported", reason: null }));
+    const skipped = (skippedRows || []).map((row) => ({
+      id: row.id,
+      date: row.date,
+      distance: row.distance,
+      type: null,
+      strava_activity_id: row.strava_activity_id,
+      start_datetime: row.start_datetime,
+      created_at: row.created_at,
+      status: "skipped",
+      reason: row.reason,
+      strava_type: row.sport_type || row.strava_type || null,
+    }));
+    const sortKey = (row) => row.start_datetime || row.created_at || row.date || "";
+    const merged = [...imported, ...skipped].sort((a, b) => (sortKey(a) < sortKey(b) ? 1 : -1)).slice(0, limit);
+    res.json(merged);
+  } catch (e) {
+    console.error("GET /strava/logs error:", e);
+    res.status(500).json({ error: "strava_logs_error" });
+  }
+});
+
+// Strava: preferences d'import (variantes exclues, ex: tapis)
+api.get("/strava/settings", requireAuth, async (req, res) => {
+  try {
+    const excluded = await getStravaExcludedVariants(req.user.id);
     res.json({
-      shoe_name: user.shoe_name || null,
-      shoe_start_date: user.shoe_start_date,
-      shoe_target_km: user.shoe_target_km || null,
-      used_m
+      variants: Object.entries(STRAVA_TYPE_MAP).map(([variant, type]) => ({
+        variant,
+        type,
+        excluded: excluded.includes(variant),
+      })),
+      excluded_variants: excluded,
     });
   } catch (e) {
-    console.error("GET /me/shoe-progress error:", e);
-    res.status(500).json({ error: e.message });
+    console.error("GET /strava/settings error:", e);
+    res.status(500).json({ error: "strava_settings_error" });
   }
 });
 
-// Sessions du user courant
-api.get("/me/sessions", requireAuth, async (req, res) => {
+api.put("/strava/settings", requireAuth, async (req, res) => {
   try {
-    const type = req.query?.type ? normalizeType(req.query.type) : null;
-
-    if (type && !isValidType(type)) {
-      return res.status(400).json({ error: "type invalide (swim|run)" });
+    const raw = req.body?.excluded_variants;
+    if (!Array.isArray(raw)) return res.status(400).json({ error: "excluded_variants requis (tableau)" });
+    const excluded = parseExcludedVariants(raw.join(","));
+    if (excluded.length !== raw.length) {
+      return res.status(400).json({ error: `variantes invalides (${Object.keys(STRAVA_TYPE_MAP).join("|")})` });
     }
+    await pool.query(
+      "INSERT INTO strava_import_settings (user_id, excluded_variants) VALUES (?, ?) " +
+        "ON DUPLICATE KEY UPDATE excluded_variants = VALUES(excluded_variants)",
+      [req.user.id, excluded.join(",")]
+    );
+    res.json({ excluded_variants: excluded });
+  } catch (e) {
+    console.error("PUT /strava/settings error:", e);
+    res.status(500).json({ error: "strava_settings_error" });
+  }
+});
 
-    const from = isValidDateString(req.query?.from) ? req.query.from : null;
-    const to = isValidDateString(req.query?.to) ? req.query.to : null;
+// Strava backfill: import de l'historique (job en tache de fond)
+api.post("/strava/backfill", requireAuth, async (req, res) => {
+  try {
+    const after = req.query?.after || req.body?.after;
+    if (!isValidDateString(after)) return res.status(400).json({ error: "after invalide (YYYY-MM-DD)" });
+    const evaluateRewards = String(req.query?.skip_rewards || "") !== "1";
 
-    let sql =
-      "SELECT s.id, DATE_FORMAT(s.date, '%Y-%m-%d') AS date, DATE_FORMAT(s.created_at, '%Y-%m-%d %H:%i:%s') AS created_at, s.distance, s.type, s.user_id, s.strava_activity_id, " +
-      "u.name AS user_name, u.is_bot AS is_bot, " +
-      "r.id AS challenge_id, r.type AS challenge_type, r.distance_m AS challenge_distance_m, " +
-      "r.target_distance_m AS challenge_target_distance_m, r.bot_id AS challenge_bot_id, " +
-      "b.name AS challenge_bot_name, DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS challenge_achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS challenge_achieved_at_time, " +
-      "l.likes_count AS likes_count " +
-      "FROM sessions s " +
-      "LEFT JOIN users u ON u.id = s.user_id " +
-      "LEFT JOIN (" +
-      "  SELECT r1.* FROM user_card_results r1 " +
-      "  INNER JOIN (" +
-      "    SELECT session_id, MIN(created_at) AS created_at " +
-      "    FROM user_card_results WHERE session_id IS NOT NULL " +
-      "    GROUP BY session_id" +
-      "  ) r2 ON r1.session_id = r2.session_id AND r1.created_at = r2.created_at" +
-      ") r ON r.session_id = s.id AND r.user_id = s.user_id " +
-      "LEFT JOIN users b ON b.id = r.bot_id " +
-      "LEFT JOIN (" +
-      "  SELECT session_id, COUNT(*) AS likes_count FROM session_likes GROUP BY session_id" +
-      ") l ON l.session_id = s.id " +
-      "WHERE s.user_id = ?";
-    const params = [req.user.id];
+    const account = await getStravaAccountByUser(req.user.id);
+    if (!account) return res.status(400).json({ error: "strava_not_connected" });
 
-    if (type) {
-      sql += " AND s.type = ?";
+    const [activeRows] = await pool.query(
+      "SELECT id FROM strava_backfill_jobs WHERE user_id = ? AND status IN ('running','waiting') LIMIT 1",
+      [req.user.id]
+    );
+    if (activeRows?.length) {
+      const job = await getBackfillJob(activeRows[0].id);
+      return res.status(409).json({ error: "backfill_already_running", job: mapBackfillJob(job) });
+    }
+
+    // Un job echoue avec la meme date reprend a la page ou il s'etait arrete
+    const [failedRows] = await pool.query(
+      "SELECT id FROM strava_backfill_jobs WHERE user_id = ? AND status = 'failed' AND after_date = ? " +
+        "ORDER BY created_at DESC LIMIT 1",
+      [req.user.id, after]
+    );
+    let jobId = failedRows?.[0]?.id || null;
+    if (jobId) {
+      await pool.query(
+        "UPDATE strava_backfill_jobs SET status = 'running', last_error = NULL, retry_at = NULL, evaluate_rewards = ? WHERE id = ?",
+        [evaluateRewards ? 1 : 0, jobId]
+      );
+    } else {
+      jobId = uuidv4();
+      await pool.query(
+        "INSERT INTO strava_backfill_jobs (id, user_id, status, after_date, next_page, evaluate_rewards) " +
+          "VALUES (?, ?, 'running', ?, 1, ?)",
+        [jobId, req.user.id, after, evaluateRewards ? 1 : 0]
+      );
+    }
+
+    void runStravaBackfill(jobId);
+    const job = await getBackfillJob(jobId);
+    res.status(202).json({ job: mapBackfillJob(job) });
+  } catch (e) {
+    console.error("POST /strava/backfill error:", e);
+    res.status(500).json({ error: "strava_backfill_error" });
+  }
+});
+
+// Strava backfill: progression du dernier job
+api.get("/strava/backfill/status", requireAuth, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT id FROM strava_backfill_jobs WHERE user_id = ? ORDER BY created_at DESC LIMIT 1",
+      [req.user.id]
+    );
+    if (!rows?.length) return res.json({ job: null });
+    const job = await getBackfillJob(rows[0].id);
+    res.json({ job: mapBackfillJob(job) });
+  } catch (e) {
+    console.error("GET /strava/backfill/status error:", e);
+    res.status(500).json({ error: "strava_backfill_error" });
+  }
+});
+
+// Strava OAuth callback
+api.get("/strava/callback", async (req, res) => {
+  try {
+    const code = req.query?.code;
+    const state = req.query?.state;
+    await exchangeStravaCode({ code, state });
+    if (STRAVA_POST_AUTH_REDIRECT) {
+      const sep = STRAVA_POST_AUTH_REDIRECT.includes("?") ? "&" : "?";
+      return res.redirect(`${STRAVA_POST_AUTH_REDIRECT}${sep}strava=connected`);
+    }
+    return res.json({ connected: true });
+  } catch (e) {
+    console.error("GET /strava/callback error:", e);
+    if (STRAVA_POST_AUTH_REDIRECT) {
+      const sep = STRAVA_POST_AUTH_REDIRECT.includes("?") ? "&" : "?";
+      return res.redirect(`${STRAVA_POST_AUTH_REDIRECT}${sep}strava=error`);
+    }
+    return res.status(500).json({ error: "strava_callback_error" });
+  }
+});
+
+// Strava exchange (manual finalize)
+api.post("/strava/exchange", requireAuth, async (req, res) => {
+  try {
+    const code = req.body?.code;
+    const state = req.body?.state;
+    const userId = parseStravaState(state);
+    if (!userId) return res.status(401).json({ error: "invalid_state" });
+    if (String(userId) !== String(req.user.id)) return res.status(403).json({ error: "forbidden" });
+    const result = await exchangeStravaCode({ code, state });
+    res.json({ connected: true, athlete_id: result.athleteId });
+  } catch (e) {
+    console.error("POST /strava/exchange error:", e);
+    res.status(500).json({ error: e.message || "strava_exchange_error" });
+  }
+});
+
+// Strava Webhook verification
+api.get("/strava/webhook", (req, res) => {
+  const mode = req.query?.["hub.mode"];
+  const token = req.query?.["hub.verify_token"];
+  const challenge = req.query?.["hub.challenge"];
+  if (mode === "subscribe" && token && token === STRAVA_WEBHOOK_VERIFY_TOKEN) {
+    return res.json({ "hub.challenge": challenge });
+  }
+  return res.status(403).json({ error: "forbidden" });
+});
+
+// Strava Webhook receiver: persiste l'evenement puis repond (Strava re-livre si erreur)
+api.post("/strava/webhook", async (req, res) => {
+  const body = req.body || {};
+  if (!body.object_type || !body.object_id || !body.aspect_type) return res.json({ received: true });
+  try {
+    if (!(await isLiveStravaSubscription(body.subscription_id))) return res.status(403).json({ error: "forbidden" });
+    await enqueueStravaEvent(body);
+    res.json({ received: true });
+    processStravaEvents().catch((e) => console.error("processStravaEvents error:", e));
+  } catch (e) {
+    console.error("POST /strava/webhook error:", e);
+    res.status(500).json({ error: "strava_webhook_error" });
+  }
+});
+
+// Infos user courant
+api.get("/auth/me", requireAuth, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT id, email, name, description, avg_distance_m, role, shoe_name, card_image, is_bot, bot_color, bot_border_color, " +
+        "bot_card_type, DATE_FORMAT(bot_event_date, '%Y-%m-%d') AS bot_event_date, bot_drop_rate, bot_target_distance_m, " +
+        "DATE_FORMAT(shoe_start_date, '%Y-%m-%d') AS shoe_start_date, last_victory_seen_id, " +
+        "shoe_target_km FROM users WHERE id = ? LIMIT 1",
+      [req.user.id]
+    );
+    const user = rows?.[0];
+    if (!user) return res.status(404).json({ error: "not_found" });
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        avg_distance_m: user.avg_distance_m ?? null,
+        description: user.description || null,
+        role: user.role,
+        is_bot: !!user.is_bot,
+        bot_color: user.bot_color || null,
+        bot_border_color: user.bot_border_color || null,
+        bot_card_type: user.bot_card_type || null,
+        bot_event_date: user.bot_event_date || null,
+        bot_drop_rate: user.bot_drop_rate ?? null,
+        bot_target_distance_m: user.bot_target_distance_m ?? null,
+        bot_season_int: user.bot_season_int ?? null,
+        shoe_name: user.shoe_name || null,
+        card_image: user.card_image || null,
+        shoe_start_date: user.shoe_start_date || null,
+        shoe_target_km: user.shoe_target_km ?? null,
+        last_victory_seen_id: user.last_victory_seen_id || null,
+      },
+    });
+  } catch (e) {
+    console.error("GET /auth/me error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Changement de mot de passe (user courant) => invalide les anciens tokens
+api.post("/me/password", requireAuth, applySecretIdempotencyKey, async (req, res) => {
+  try {
+    const { old_password, new_password } = req.body || {};
+    if (!old_password || !new_password) return res.status(400).json({ error: "missing_fields" });
+    if (String(new_password).length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: "password_too_short" });
+    }
+
+    const [rows] = await pool.query(
+      "SELECT id, email, role, password_hash, token_version FROM users WHERE id = ? LIMIT 1",
+      [req.user.id]
+    );
+    const user = rows?.[0];
+    if (!user) return res.status(404).json({ error: "not_found" });
+
+    const ok = await bcrypt.compare(String(old_password), user.password_hash || "");
+    if (!ok) return res.status(401).json({ error: "invalid_credentials" });
+
+    const passwordHash = await bcrypt.hash(String(new_password), 10);
+    await pool.query(
+      "UPDATE users SET password_hash = ?, token_version = token_version + 1 WHERE id = ?",
+      [passwordHash, user.id]
+    );
+    await pool.query(
+      "UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+      [user.id]
+    );
+    await revokeRefreshTokens(user.id);
+
+    const tokens = await issueAuthTokens({ ...user, token_version: (Number(user.token_version) || 0) + 1 });
+    res.json({ ok: true, ...tokens });
+  } catch (e) {
+    console.error("POST /me/password error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 2FA: generation d'un secret (non actif tant que /me/2fa/verify n'a pas confirme un code)
+api.post("/me/2fa/setup", requireAuth, applySecretIdempotencyKey, async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT email, totp_enabled FROM users WHERE id = ? LIMIT 1", [req.user.id]);
+    const user = rows?.[0];
+    if (!user) return res.status(404).json({ error: "not_found" });
+    if (user.totp_enabled) return res.status(409).json({ error: "two_factor_already_enabled" });
+
+    const secret = generateTotpSecret();
+    await pool.query(
+      "UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?",
+      [secret, req.user.id]
+    );
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+    const params = new URLSearchParams({ secret, issuer: TOTP_ISSUER, algorithm: "SHA1", digits: "6", period: "30" });
+    res.json({ secret, otpauth_url: `otpauth://totp/${label}?${params.toString()}` });
+  } catch (e) {
+    console.error("POST /me/2fa/setup error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 2FA: activation apres un premier code valide => renvoie les codes de secours (une seule fois).
+// Les sessions ouvertes sans second facteur sont invalidees (sinon un ancien token garderait l'acces admin),
+// l'appelant recoit de nouveaux tokens
+api.post("/me/2fa/verify", requireAuth, applySecretIdempotencyKey, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT id, email, role, token_version, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ? LIMIT 1",
+      [req.user.id]
+    );
+    const user = rows?.[0];
+    if (!user) return res.status(404).json({ error: "not_found" });
+    if (user.totp_enabled) return res.status(409).json({ error: "two_factor_already_enabled" });
+    if (!user.totp_secret) return res.status(400).json({ error: "two_factor_not_setup" });
+
+    const step = verifyTotp(user.totp_secret, req.body?.code);
+    if (step === null) return res.status(401).json({ error: "invalid_code" });
+
+    const codes = generateRecoveryCodes();
+    await pool.query(
+      "UPDATE users SET totp_enabled = 1, totp_last_step = ?, token_version = token_version + 1 WHERE id = ?",
+      [step, user.id]
+    );
+    await pool.query("DELETE FROM user_recovery_codes WHERE user_id = ?", [user.id]);
+    const values = codes.map((code) => [uuidv4(), user.id, hashToken(normalizeRecoveryCode(code))]);
+    await pool.query("INSERT INTO user_recovery_codes (id, user_id, code_hash) VALUES ?", [values]);
+    await revokeRefreshTokens(user.id);
+
+    const tokens = await issueAuthTokens({ ...user, token_version: (Number(user.token_version) || 0) + 1 });
+    res.json({ enabled: true, recovery_codes: codes, ...tokens });
+  } catch (e) {
+    console.error("POST /me/2fa/verify error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 2FA: desactivation (mot de passe + code TOTP ou code de secours)
+api.post("/me/2fa/disable", requireAuth, applyIdempotencyKey, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body || {};
+    if (!password || (!code && !recovery_code)) return res.status(400).json({ error: "missing_fields" });
+
+    const [rows] = await pool.query(
+      "SELECT id, password_hash, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ? LIMIT 1",
+      [req.user.id]
+    );
+    const user = rows?.[0];
+    if (!user) return res.status(404).json({ error: "not_found" });
+    if (!user.totp_enabled) return res.status(400).json({ error: "two_factor_not_enabled" });
+
+    const passwordOk = await bcrypt.compare(String(password), user.password_hash || "");
+    if (!passwordOk) return res.status(401).json({ error: "invalid_credentials" });
+    const ok = await consumeSecondFactor(user, { code, recovery_code });
+    if (!ok) return res.status(401).json({ error: "invalid_code" });
+
+    await pool.query(
+      "UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?",
+      [user.id]
+    );
+    await pool.query("DELETE FROM user_recovery_codes WHERE user_id = ?", [user.id]);
+    res.json({ enabled: false });
+  } catch (e) {
+    console.error("POST /me/2fa/disable error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Cles API du user courant
+api.get("/me/api-keys", requireAuth, async (req, res) => {
+  try {
+    if (req.apiKey) return res.status(403).json({ error: "forbidden" });
+    const [rows] = await pool.query(
+      "SELECT id, name, prefix, scopes, " +
+        "DATE_FORMAT(last_used_at, '%Y-%m-%d %H:%i:%s') AS last_used_at, " +
+        "DATE_FORMAT(revoked_at, '%Y-%m-%d %H:%i:%s') AS revoked_at, " +
+        "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
+        "FROM api_keys WHERE user_id = ? ORDER BY created_at DESC",
+      [req.user.id]
+    );
+    res.json((rows || []).map((row) => ({ ...row, scopes: parseApiKeyScopes(row.scopes) })));
+  } catch (e) {
+    console.error("GET /me/api-keys error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Creation d'une cle API (le secret n'est renvoye qu'une seule fois)
+api.post("/me/api-keys", requireAuth, applySecretIdempotencyKey, async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim().slice(0, 100);
+    if (!name) return res.status(400).json({ error: "name requis" });
+    const rawScopes = Array.isArray(req.body?.scopes) ? req.body.scopes : ["read"];
+    const scopes = parseApiKeyScopes(rawScopes.join(","));
+    if (!scopes.length || scopes.length !== rawScopes.length) {
+      return res.status(400).json({ error: `scopes invalides (${[...API_KEY_SCOPES].join("|")})` });
+    }
+
+    const id = uuidv4();
+    const key = generateApiKey();
+    const prefix = key.slice(0, 12);
+    await pool.query(
+      "INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes) VALUES (?, ?, ?, ?, ?, ?)",
+      [id, req.user.id, name, prefix, hashToken(key), scopes.join(",")]
+    );
+    res.status(201).json({ id, name, prefix, scopes, key });
+  } catch (e) {
+    console.error("POST /me/api-keys error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Revocation d'une cle API
+api.delete("/me/api-keys/:id", requireAuth, applyIdempotencyKey, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      "UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+      [req.params.id, req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: "not found" });
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /me/api-keys/:id error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Marquer la derniere victoire comme vue
+api.post("/me/victory/seen", requireAuth, applyIdempotencyKey, async (req, res) => {
+  try {
+    const victoryId = req.body?.victory_id;
+    if (!victoryId) return res.status(400).json({ error: "victory_id requis" });
+    await pool.query(
+      "UPDATE users SET last_victory_seen_id = ? WHERE id = ?",
+      [String(victoryId), req.user.id]
+    );
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("POST /me/victory/seen error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Derniere victoire non vue
+api.get("/me/victory/latest", requireAuth, async (req, res) => {
+  try {
+    const [userRows] = await pool.query("SELECT last_victory_seen_id FROM users WHERE id = ? LIMIT 1", [req.user.id]);
+    const lastSeen = userRows?.[0]?.last_victory_seen_id || null;
+    const [rows] = await pool.query(
+      "SELECT r.id, r.bot_id, u.name AS bot_name, r.type, r.distance_m, r.target_distance_m, r.session_id, " +
+        "DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS achieved_at_time " +
+        "FROM user_card_results r LEFT JOIN users u ON u.id = r.bot_id " +
+        "WHERE r.user_id = ? AND r.type IN ('defi','rare','evenement') " +
+        "ORDER BY COALESCE(r.achieved_at, r.created_at) DESC, r.created_at DESC, r.id DESC LIMIT 1",
+      [req.user.id]
+    );
+    const latest = rows?.[0] || null;
+    if (!latest?.id) return res.json({ victory: null });
+    if (lastSeen && String(lastSeen) === String(latest.id)) return res.json({ victory: null });
+    res.json({ victory: latest });
+  } catch (e) {
+    console.error("GET /me/victory/latest error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+// Compat: check auth (ancien endpoint)
+api.get("/auth/check", requireAuth, (_req, res) => {
+  res.json({ ok: true });
+});
+
+// Liste des sessions globales (public)
+api.get("/sessions", async (req, res) => {
+  try {
+    const type = req.query?.type ? normalizeType(req.query.type) : null;
+
+    if (type && !isValidType(type)) {
+      return res.status(400).json({ error: "type invalide (swim|run)" });
+    }
+
+    const from = isValidDateString(req.query?.from) ? req.query.from : null;
+    const to = isValidDateString(req.query?.to) ? req.query.to : null;
+
+    const userId = req.query?.user_id ? String(req.query.user_id) : null;
+    const activeSeason = await getActiveSeasonInfo();
+    let sql =
+      "SELECT s.id, DATE_FORMAT(s.date, '%Y-%m-%d') AS date, DATE_FORMAT(s.created_at, '%Y-%m-%d %H:%i:%s') AS created_at, s.distance, s.type, s.user_id, s.strava_activity_id, " +
+      "DATE_FORMAT(s.start_datetime, '%Y-%m-%d %H:%i:%s') AS start_datetime, s.duration_s, s.elevation_gain_m, s.avg_hr, s.perceived_effort, s.notes, " +
+      "u.name AS user_name, u.is_bot AS is_bot, " +
+      "r.id AS challenge_id, r.type AS challenge_type, r.distance_m AS challenge_distance_m, " +
+      "r.target_distance_m AS challenge_target_distance_m, r.bot_id AS challenge_bot_id, " +
+      "b.name AS challenge_bot_name, DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS challenge_achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS challenge_achieved_at_time, " +
+      "l.likes_count AS likes_count " +
+      "FROM sessions s " +
+      "LEFT JOIN users u ON u.id = s.user_id " +
+      "LEFT JOIN (" +
+      "  SELECT r1.* FROM user_card_results r1 " +
+      "  INNER JOIN (" +
+      "    SELECT session_id, MIN(created_at) AS created_at " +
+      "    FROM user_card_results WHERE session_id IS NOT NULL " +
+      "    GROUP BY session_id" +
+      "  ) r2 ON r1.session_id = r2.session_id AND r1.created_at = r2.created_at" +
+      ") r ON r.session_id = s.id AND r.user_id = s.user_id " +
+      "LEFT JOIN users b ON b.id = r.bot_id " +
+      "LEFT JOIN (" +
+      "  SELECT session_id, COUNT(*) AS likes_count FROM session_likes GROUP BY session_id" +
+      ") l ON l.session_id = s.id";
+    const params = [];
+    const conds = [];
+
+    if (type) {
+      conds.push("s.type = ?");
+      params.push(type);
+    }
+    if (userId) {
+      conds.push("s.user_id = ?");
+      params.push(userId);
+    }
+    if (from && to) {
+      conds.push("s.date BETWEEN ? AND ?");
+      params.push(from, to);
+    } else if (from) {
+      conds.push("s.date >= ?");
+      params.push(from);
+    } else if (to) {
+      conds.push("s.date <= ?");
+      params.push(to);
+    }
+    if (activeSeason?.season_number !== null && activeSeason?.season_number !== undefined) {
+      conds.push("(u.is_bot = 0 OR u.bot_season_int IS NULL OR u.bot_season_int <= ?)");
+      params.push(activeSeason.season_number);
+    } else {
+      conds.push("(u.is_bot = 0 OR u.bot_season_int IS NULL)");
+    }
+    if (conds.length) {
+      sql += " WHERE " + conds.join(" AND ");
+    }
+
+    sql += " ORDER BY s.date ASC";
+
+    const [rows] = await pool.query(sql, params);
+    res.json(rows.map(mapSessionRow));
+  } catch (e) {
+    console.error("GET /sessions error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Likes des sessions du user courant
+api.get("/me/session-likes", requireAuth, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT session_id FROM session_likes WHERE user_id = ?",
+      [req.user.id]
+    );
+    res.json(rows.map((r) => r.session_id));
+  } catch (e) {
+    console.error("GET /me/session-likes error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Like / unlike d'une session
+api.post("/sessions/:id/like", requireAuth, async (req, res) => {
+  try {
+    const sessionId = req.params?.id;
+    if (!sessionId) return res.status(400).json({ error: "session_id requis" });
+
+    const [sessionRows] = await pool.query("SELECT user_id FROM sessions WHERE id = ? LIMIT 1", [sessionId]);
+    if (!sessionRows?.length) return res.status(404).json({ error: "session introuvable" });
+
+    if (String(sessionRows[0].user_id) === String(req.user.id)) {
+      return res.status(403).json({ error: "auto-like interdit" });
+    }
+
+    const [likeRows] = await pool.query(
+      "SELECT id FROM session_likes WHERE session_id = ? AND user_id = ? LIMIT 1",
+      [sessionId, req.user.id]
+    );
+
+    let liked = false;
+    if (likeRows?.length) {
+      await pool.query("DELETE FROM session_likes WHERE id = ?", [likeRows[0].id]);
+      liked = false;
+    } else {
+      await pool.query(
+        "INSERT INTO session_likes (id, session_id, user_id) VALUES (?, ?, ?)",
+        [uuidv4(), sessionId, req.user.id]
+      );
+      liked = true;
+    }
+
+    const [countRows] = await pool.query(
+      "SELECT COUNT(*) AS total FROM session_likes WHERE session_id = ?",
+      [sessionId]
+    );
+    res.json({ liked, likes_count: countRows?.[0]?.total || 0 });
+  } catch (e) {
+    console.error("POST /sessions/:id/like error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Dashboard global public
+api.get("/dashboard/global", async (_req, res) => {
+  try {
+    const [totalsRows] = await pool.query(
+      "SELECT COUNT(*) AS sessions, SUM(distance) AS distance, " +
+        "SUM(CASE WHEN type='swim' THEN distance ELSE 0 END) AS swim_distance, " +
+        "SUM(CASE WHEN type='run' THEN distance ELSE 0 END) AS run_distance " +
+        "FROM sessions"
+    );
+
+    const [byUserRows] = await pool.query(
+      "SELECT s.user_id, u.name AS user_name, COUNT(*) AS sessions, SUM(s.distance) AS distance, " +
+        "SUM(CASE WHEN s.type='swim' THEN s.distance ELSE 0 END) AS swim_distance, " +
+        "SUM(CASE WHEN s.type='run' THEN s.distance ELSE 0 END) AS run_distance " +
+        "FROM sessions s LEFT JOIN users u ON u.id = s.user_id " +
+        "GROUP BY s.user_id, u.name " +
+        "ORDER BY distance DESC"
+    );
+
+    res.json({
+      totals: {
+        sessions: totalsRows?.[0]?.sessions || 0,
+        distance: totalsRows?.[0]?.distance || 0,
+        swim_distance: totalsRows?.[0]?.swim_distance || 0,
+        run_distance: totalsRows?.[0]?.run_distance || 0,
+      },
+      users: byUserRows || [],
+    });
+  } catch (e) {
+    console.error("GET /dashboard/global error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+// Saison active (public)
+api.get("/season/active", async (_req, res) => {
+  try {
+    const active = await getActiveSeasonInfo();
+    res.json(active);
+  } catch (e) {
+    console.error("GET /season/active error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Liste des saisons (public)
+api.get("/seasons", async (_req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT season_number, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date " +
+        "FROM seasons ORDER BY start_date ASC, season_number ASC"
+    );
+    res.json(rows || []);
+  } catch (e) {
+    console.error("GET /seasons error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Classement d'une saison sur [start_date, debut de la saison suivante[ (fige apres la bascule)
+api.get("/seasons/:number/leaderboard", async (req, res) => {
+  try {
+    const seasonNumber = Number(req.params.number);
+    if (!Number.isInteger(seasonNumber) || seasonNumber < 0) {
+      return res.status(400).json({ error: "season_number invalide" });
+    }
+    const sortBy = req.query?.sort || "distance";
+    if (!SEASON_LEADERBOARD_SORTS[sortBy]) {
+      return res.status(400).json({ error: `sort invalide (${Object.keys(SEASON_LEADERBOARD_SORTS).join("|")})` });
+    }
+    const includeBots = String(req.query?.include_bots || "") === "1";
+    const limitRaw = Number(req.query?.limit);
+    const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), 500) : null;
+
+    const result = await getSeasonLeaderboard(seasonNumber, { includeBots, sortBy, limit });
+    if (!result) return res.status(404).json({ error: "not found" });
+    res.json({
+      season_number: result.season_number,
+      start_date: result.start_date,
+      end_date: result.end_date,
+      frozen: result.frozen,
+      sort: sortBy,
+      include_bots: includeBots,
+      count: result.standings.length,
+      standings: result.standings,
+    });
+  } catch (e) {
+    console.error("GET /seasons/:number/leaderboard error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Liste publique des utilisateurs
+api.get("/users/public", async (_req, res) => {
+  try {
+    const activeSeason = await getActiveSeasonInfo();
+    const params = [];
+    let sql =
+      "SELECT u.id, u.name, u.description, u.avg_distance_m, u.shoe_name, u.card_image, u.is_bot, u.bot_color, u.bot_border_color, " +
+      "u.bot_card_type, DATE_FORMAT(u.bot_event_date, '%Y-%m-%d') AS bot_event_date, u.bot_drop_rate, u.bot_target_distance_m, u.bot_season_int, u.created_at, " +
+      "DATE_FORMAT(u.shoe_start_date, '%Y-%m-%d') AS shoe_start_date, " +
+      "u.shoe_target_km, IF(sa.user_id IS NULL, 0, 1) AS strava_connected, " +
+      "IFNULL(uc.cards_defi, 0) AS cards_defi, IFNULL(uc.cards_rare, 0) AS cards_rare, IFNULL(uc.cards_evenement, 0) AS cards_evenement, IFNULL(upc.cards_user, 0) AS cards_user, " +
+      "uc.cards_last_unique_at AS cards_last_unique_at " +
+      "FROM users u LEFT JOIN strava_accounts sa ON sa.user_id = u.id AND sa.revoked_at IS NULL " +
+      "LEFT JOIN (" +
+      "  SELECT user_id, " +
+      "  COUNT(DISTINCT CASE WHEN type = 'defi' THEN bot_id END) AS cards_defi, " +
+      "  COUNT(DISTINCT CASE WHEN type = 'rare' THEN bot_id END) AS cards_rare, " +
+      "  COUNT(DISTINCT CASE WHEN type = 'evenement' THEN bot_id END) AS cards_evenement, " +
+      "  DATE_FORMAT(MAX(first_at), '%Y-%m-%d %H:%i:%s') AS cards_last_unique_at " +
+      "  FROM (" +
+      "    SELECT user_id, bot_id, type, MIN(created_at) AS first_at " +
+      "    FROM user_card_results WHERE type IN ('defi','rare','evenement') GROUP BY user_id, bot_id, type" +
+      "  ) ucr GROUP BY user_id" +
+      ") uc ON uc.user_id = u.id " +
+      "LEFT JOIN (" +
+      "  SELECT user_id, COUNT(DISTINCT target_user_id) AS cards_user " +
+      "  FROM user_player_card_results WHERE target_user_id <> user_id GROUP BY user_id" +
+      ") upc ON upc.user_id = u.id";
+    const upcomingEventCond =
+      "(u.is_bot = 1 AND u.bot_card_type = 'evenement' AND u.bot_event_date IS NOT NULL AND u.bot_event_date >= CURDATE())";
+    if (activeSeason?.season_number !== null && activeSeason?.season_number !== undefined) {
+      sql += " WHERE (u.is_bot = 0 OR u.bot_season_int IS NULL OR u.bot_season_int <= ? OR " + upcomingEventCond + ")";
+      params.push(activeSeason.season_number);
+    } else {
+      sql += " WHERE (u.is_bot = 0 OR u.bot_season_int IS NULL OR " + upcomingEventCond + ")";
+    }
+    sql += " ORDER BY name ASC";
+    const [rows] = await pool.query(sql, params);
+    res.json(rows);
+  } catch (e) {
+    console.error("GET /users/public error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Progression chaussures (user courant)
+api.get("/me/shoe-progress", requireAuth, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT shoe_name, DATE_FORMAT(shoe_start_date, '%Y-%m-%d') AS shoe_start_date, shoe_target_km " +
+        "FROM users WHERE id = ? LIMIT 1",
+      [req.user.id]
+    );
+    const user = rows?.[0] || null;
+    if (!user || !user.shoe_start_date) {
+      return res.json({ shoe_name: user?.shoe_name || null, shoe_start_date: null, shoe_target_km: user?.shoe_target_km || null, used_m: 0 });
+    }
+    const [sumRows] = await pool.query(
+      "SELECT SUM(distance) AS total_m FROM sessions WHERE user_id = ? AND type = 'run' AND date >= ?",
+      [req.user.id, user.shoe_start_date]
+    );
+    const used_m = Number(sumRows?.[0]?.total_m) || 0;
+    res.json({
+      shoe_name: user.shoe_name || null,
+      shoe_start_date: user.shoe_start_date,
+      shoe_target_km: user.shoe_target_km || null,
+      used_m
+    });
+  } catch (e) {
+    console.error("GET /me/shoe-progress error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Sessions du user courant
+api.get("/me/sessions", requireAuth, async (req, res) => {
+  try {
+    const type = req.query?.type ? normalizeType(req.query.type) : null;
+
+    if (type && !isValidType(type)) {
+      return res.status(400).json({ error: "type invalide (swim|run)" });
+    }
+
+    const from = isValidDateString(req.query?.from) ? req.query.from : null;
+    const to = isValidDateString(req.query?.to) ? req.query.to : null;
+
+    let sql =
+      "SELECT s.id, DATE_FORMAT(s.date, '%Y-%m-%d') AS date, DATE_FORMAT(s.created_at, '%Y-%m-%d %H:%i:%s') AS created_at, s.distance, s.type, s.user_id, s.strava_activity_id, " +
+      "DATE_FORMAT(s.start_datetime, '%Y-%m-%d %H:%i:%s') AS start_datetime, s.duration_s, s.elevation_gain_m, s.avg_hr, s.perceived_effort, s.notes, " +
+      "u.name AS user_name, u.is_bot AS is_bot, " +
+      "r.id AS challenge_id, r.type AS challenge_type, r.distance_m AS challenge_distance_m, " +
+      "r.target_distance_m AS challenge_target_distance_m, r.bot_id AS challenge_bot_id, " +
+      "b.name AS challenge_bot_name, DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS challenge_achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS challenge_achieved_at_time, " +
+      "l.likes_count AS likes_count " +
+      "FROM sessions s " +
+      "LEFT JOIN users u ON u.id = s.user_id " +
+      "LEFT JOIN (" +
+      "  SELECT r1.* FROM user_card_results r1 " +
+      "  INNER JOIN (" +
+      "    SELECT session_id, MIN(created_at) AS created_at " +
+      "    FROM user_card_results WHERE session_id IS NOT NULL " +
+      "    GROUP BY session_id" +
+      "  ) r2 ON r1.session_id = r2.session_id AND r1.created_at = r2.created_at" +
+      ") r ON r.session_id = s.id AND r.user_id = s.user_id " +
+      "LEFT JOIN users b ON b.id = r.bot_id " +
+      "LEFT JOIN (" +
+      "  SELECT session_id, COUNT(*) AS likes_count FROM session_likes GROUP BY session_id" +
+      ") l ON l.session_id = s.id " +
+      "WHERE s.user_id = ?";
+    const params = [req.user.id];
+
+    if (type) {
+      sql += " AND s.type = ?";
       params.push(type);
     }    if (from && to) {
       sql += " AND s.date BETWEEN ? AND ?";
@@ -1233,555 +4224,1743 @@ api.get("/me/sessions", requireAuth, async (req, res) => {
       params.push(to);
     }
 
-    sql += " ORDER BY s.date ASC";
+    sql += " ORDER BY s.date ASC";
+
+    const [rows] = await pool.query(sql, params);
+    res.json(rows.map(mapSessionRow));
+  } catch (e) {
+    console.error("GET /me/sessions error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Sessions publiques d'un user (lecture seule)
+api.get("/users/:userId/sessions/public", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const type = req.query?.type ? normalizeType(req.query.type) : null;
+    const pageRaw = req.query?.page;
+    const limitRaw = req.query?.limit;
+    const limit = limitRaw ? Math.min(Math.max(parseInt(limitRaw, 10) || 0, 1), 200) : 0;
+    const page = limit ? Math.max(parseInt(pageRaw, 10) || 1, 1) : 1;
+
+    if (type && !isValidType(type)) {
+      return res.status(400).json({ error: "type invalide (swim|run)" });
+    }
+
+    const from = isValidDateString(req.query?.from) ? req.query.from : null;
+    const to = isValidDateString(req.query?.to) ? req.query.to : null;
+
+    let sqlSelect =
+      "SELECT s.id, DATE_FORMAT(s.date, '%Y-%m-%d') AS date, DATE_FORMAT(s.created_at, '%Y-%m-%d %H:%i:%s') AS created_at, s.distance, s.type, s.user_id, s.strava_activity_id, " +
+      "DATE_FORMAT(s.start_datetime, '%Y-%m-%d %H:%i:%s') AS start_datetime, s.duration_s, s.elevation_gain_m, s.avg_hr, s.perceived_effort, s.notes, " +
+      "u.name AS user_name, u.is_bot AS is_bot, " +
+      "r.id AS challenge_id, r.type AS challenge_type, r.distance_m AS challenge_distance_m, " +
+      "r.target_distance_m AS challenge_target_distance_m, r.bot_id AS challenge_bot_id, " +
+      "b.name AS challenge_bot_name, DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS challenge_achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS challenge_achieved_at_time, " +
+      "l.likes_count AS likes_count " +
+      "FROM sessions s " +
+      "LEFT JOIN users u ON u.id = s.user_id " +
+      "LEFT JOIN (" +
+      "  SELECT r1.* FROM user_card_results r1 " +
+      "  INNER JOIN (" +
+      "    SELECT session_id, MIN(created_at) AS created_at " +
+      "    FROM user_card_results WHERE session_id IS NOT NULL " +
+      "    GROUP BY session_id" +
+      "  ) r2 ON r1.session_id = r2.session_id AND r1.created_at = r2.created_at" +
+      ") r ON r.session_id = s.id AND r.user_id = s.user_id " +
+      "LEFT JOIN users b ON b.id = r.bot_id " +
+      "LEFT JOIN (" +
+      "  SELECT session_id, COUNT(*) AS likes_count FROM session_likes GROUP BY session_id" +
+      ") l ON l.session_id = s.id";
+    let sqlCount = "SELECT COUNT(*) AS total FROM sessions s";
+    const conds = ["s.user_id = ?"];
+    const params = [userId];
+
+    if (type) {
+      conds.push("s.type = ?");
+      params.push(type);
+    }
+    if (from && to) {
+      conds.push("s.date BETWEEN ? AND ?");
+      params.push(from, to);
+    } else if (from) {
+      conds.push("s.date >= ?");
+      params.push(from);
+    } else if (to) {
+      conds.push("s.date <= ?");
+      params.push(to);
+    }
+
+    if (conds.length) {
+      const where = " WHERE " + conds.join(" AND ");
+      sqlSelect += where;
+      sqlCount += where;
+    }
+
+    sqlSelect += " ORDER BY s.date ASC";
+
+    if (limit) {
+      sqlSelect += " LIMIT ? OFFSET ?";
+      params.push(limit, (page - 1) * limit);
+      const [rows] = await pool.query(sqlSelect, params);
+      const [countRows] = await pool.query(sqlCount, params.slice(0, params.length - 2));
+      const total = countRows?.[0]?.total || 0;
+      return res.json({
+        rows: rows.map(mapSessionRow),
+        page,
+        limit,
+        total,
+      });
+    }
+
+    const [rows] = await pool.query(sqlSelect, params);
+    res.json(rows.map(mapSessionRow));
+  } catch (e) {
+    console.error("GET /users/:userId/sessions/public error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Defi actif du user courant
+api.get("/me/challenge", requireAuth, async (req, res) => {
+  try {
+    const active = await getActiveChallenge(req.user.id);
+    if (!active) return res.json({ challenge: null });
+    res.json({ challenge: active });
+  } catch (e) {
+    console.error("GET /me/challenge error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+// Annuler le defi actif du user courant
+api.post("/me/challenge/cancel", requireAuth, applyIdempotencyKey, async (req, res) => {
+  try {
+    const active = await getActiveChallenge(req.user.id);
+    if (!active) return res.json({ cancelled: false });
+    const [result] = await pool.query(
+      "UPDATE user_challenges SET status = 'cancelled' WHERE id = ? AND status = 'active'",
+      [active.id]
+    );
+    if (result.affectedRows === 0) return res.json({ cancelled: false });
+    await pool.query(
+      "UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL AND type = 'challenge_start'",
+      [req.user.id]
+    );
+    res.json({ cancelled: true, challenge_id: active.id });
+  } catch (e) {
+    console.error("POST /me/challenge/cancel error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Notifications du user courant
+api.get("/me/notifications", requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query?.limit) || 50, 200);
+    await pool.query(
+      "UPDATE notifications SET read_at = NOW() " +
+        "WHERE user_id = ? AND read_at IS NULL AND type = 'event_start' " +
+        "AND DATE(created_at) < CURDATE()",
+      [req.user.id]
+    );
+    await pool.query(
+      "UPDATE notifications SET read_at = NOW() " +
+        "WHERE user_id = ? AND read_at IS NULL AND type = 'challenge_start' " +
+        "AND DATE(created_at) < DATE_SUB(CURDATE(), INTERVAL 2 DAY)",
+      [req.user.id]
+    );
+    await pool.query(
+      "UPDATE notifications SET read_at = NOW() " +
+        "WHERE user_id = ? AND read_at IS NULL AND type IN ('challenge_success','event_success') " +
+        "AND DATE(created_at) < DATE_SUB(CURDATE(), INTERVAL 7 DAY)",
+      [req.user.id]
+    );
+    const [rows] = await pool.query(
+      "SELECT id, type, title, body, meta_json, " +
+        "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at, " +
+        "DATE_FORMAT(read_at, '%Y-%m-%d %H:%i:%s') AS read_at " +
+        "FROM notifications WHERE user_id = ? ORDER BY created_at DESC LIMIT ?",
+      [req.user.id, limit]
+    );
+    const mapped = rows.map((row) => ({
+      id: row.id,
+      type: row.type,
+      title: row.title || null,
+      body: row.body || null,
+      meta: row.meta_json ? JSON.parse(row.meta_json) : null,
+      created_at: row.created_at,
+      read_at: row.read_at || null,
+    }));
+    res.json(mapped);
+  } catch (e) {
+    console.error("GET /me/notifications error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Marquer des notifications comme lues
+api.post("/me/notifications/read", requireAuth, applyIdempotencyKey, async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : (req.body?.id ? [req.body.id] : []);
+    const clean = ids.map((id) => String(id)).filter(Boolean);
+    if (!clean.length) return res.json({ updated: 0 });
+    const placeholders = clean.map(() => "?").join(",");
+    const [result] = await pool.query(
+      `UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND id IN (${placeholders})`,
+      [req.user.id, ...clean]
+    );
+    res.json({ updated: result?.affectedRows || 0 });
+  } catch (e) {
+    console.error("POST /me/notifications/read error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Resultats des cartes pour un bot
+api.get("/me/card-results", requireAuth, async (req, res) => {
+  try {
+    const botId = req.query?.bot_id;
+    const params = [req.user.id];
+    let sql =
+      "SELECT r.id, r.bot_id, u.name AS bot_name, r.type, r.distance_m, r.target_distance_m, r.session_id, " +
+      "DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS achieved_at_time " +
+      "FROM user_card_results r LEFT JOIN users u ON u.id = r.bot_id WHERE r.user_id = ?";
+    if (botId) {
+      sql += " AND r.bot_id = ?";
+      params.push(botId);
+    }
+    sql += " ORDER BY r.achieved_at DESC, r.created_at DESC";
+    const [rows] = await pool.query(sql, params);
+    res.json(rows);
+  } catch (e) {
+    console.error("GET /me/card-results error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Inventaire des cartes objet (toutes les cartes objet, avec le nombre obtenu)
+api.get("/me/objects", requireAuth, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT b.id AS bot_id, b.name, b.description, b.card_image, b.bot_color, b.bot_border_color, " +
+        "b.bot_target_distance_m, b.bot_drop_rate, b.bot_object_repeat, b.bot_season_int, " +
+        "IFNULL(r.count, 0) AS count, r.first_achieved_at, r.last_achieved_at " +
+        "FROM users b LEFT JOIN (" +
+        "  SELECT bot_id, COUNT(*) AS count, " +
+        "  DATE_FORMAT(MIN(achieved_at), '%Y-%m-%d') AS first_achieved_at, " +
+        "  DATE_FORMAT(MAX(achieved_at), '%Y-%m-%d') AS last_achieved_at " +
+        "  FROM user_card_results WHERE user_id = ? AND type = 'objet' GROUP BY bot_id" +
+        ") r ON r.bot_id = b.id " +
+        "WHERE b.is_bot = 1 AND b.bot_card_type = 'objet' AND (b.bot_retired_at IS NULL OR r.count > 0) " +
+        "ORDER BY b.bot_target_distance_m ASC, b.name ASC",
+      [req.user.id]
+    );
+    const items = (rows || []).map((row) => ({
+      bot_id: row.bot_id,
+      name: row.name,
+      description: row.description || null,
+      card_image: row.card_image || null,
+      bot_color: row.bot_color || null,
+      bot_border_color: row.bot_border_color || null,
+      target_distance_m: row.bot_target_distance_m,
+      drop_rate: row.bot_drop_rate ?? null,
+      repeat: row.bot_object_repeat || "none",
+      season_int: row.bot_season_int ?? null,
+      count: Number(row.count) || 0,
+      unlocked: Number(row.count) > 0,
+      first_achieved_at: row.first_achieved_at || null,
+      last_achieved_at: row.last_achieved_at || null,
+    }));
+    res.json({
+      items,
+      unlocked: items.filter((item) => item.unlocked).length,
+      total: items.length,
+      cards: items.reduce((sum, item) => sum + item.count, 0),
+    });
+  } catch (e) {
+    console.error("GET /me/objects error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Badges de fin de saison
+api.get("/me/badges", requireAuth, async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT b.badge, b.season_number, b.`rank`, b.created_at, st.distance_m, st.sessions " +
+        "FROM user_badges b LEFT JOIN season_standings st ON st.season_number = b.season_number AND st.user_id = b.user_id " +
+        "WHERE b.user_id = ? ORDER BY b.season_number DESC",
+      [req.user.id]
+    );
+    res.json(rows || []);
+  } catch (e) {
+    console.error("GET /me/badges error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Resultats des cartes pour un joueur
+api.get("/me/user-card-results", requireAuth, async (req, res) => {
+  try {
+    const targetId = req.query?.target_user_id;
+    const params = [req.user.id];
+    let sql =
+      "SELECT r.id, r.target_user_id, u.name AS target_name, r.distance_m, r.target_distance_m, " +
+      "DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS achieved_at, " +
+      "DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
+      "FROM user_player_card_results r LEFT JOIN users u ON u.id = r.target_user_id WHERE r.user_id = ?";
+    if (targetId) {
+      sql += " AND r.target_user_id = ?";
+      params.push(targetId);
+    }
+    sql += " ORDER BY r.achieved_at DESC, r.created_at DESC";
+    const [rows] = await pool.query(sql, params);
+    res.json(rows || []);
+  } catch (e) {
+    console.error("GET /me/user-card-results error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Backfill admin des cartes joueurs (les deblocages normaux sont faits a la creation de session).
+// Chaque resultat doit etre justifie par une vraie session du user ce jour-la.
+api.post("/me/user-card-results", requireAuth, requireAdmin, applyIdempotencyKey, async (req, res) => {
+  try {
+    const userId = req.body?.user_id ? String(req.body.user_id) : req.user.id;
+    const raw = Array.isArray(req.body?.results) ? req.body.results : (req.body?.result ? [req.body.result] : []);
+    if (!raw.length) return res.status(400).json({ error: "results requis" });
+    if (raw.length > 200) return res.status(400).json({ error: "200 resultats max" });
+
+    const [userRows] = await pool.query("SELECT id FROM users WHERE id = ? AND is_bot = 0 LIMIT 1", [userId]);
+    if (!userRows?.length) return res.status(404).json({ error: "user introuvable" });
+
+    const inserts = [];
+    const rejected = [];
+    for (let i = 0; i < raw.length; i++) {
+      const r = raw[i] || {};
+      const targetId = r.target_user_id ? String(r.target_user_id) : "";
+      const achievedAt = r.achieved_at ? String(r.achieved_at) : "";
+      if (!targetId || targetId === userId) {
+        rejected.push({ index: i, error: "target_user_id invalide" });
+        continue;
+      }
+      if (!isValidDateString(achievedAt)) {
+        rejected.push({ index: i, error: "achieved_at invalide (YYYY-MM-DD)" });
+        continue;
+      }
+      const [targetRows] = await pool.query(
+        `SELECT u.avg_distance_m, ${PLAYER_MAIN_TYPE_SQL} AS main_type FROM users u WHERE u.id = ? AND u.is_bot = 0 LIMIT 1`,
+        [targetId]
+      );
+      const target = targetRows?.[0];
+      if (!target) {
+        rejected.push({ index: i, error: "joueur cible introuvable" });
+        continue;
+      }
+      const targetDistance =
+        typeof r.target_distance_m !== "undefined" && r.target_distance_m !== null
+          ? Number(r.target_distance_m)
+          : Number(target.avg_distance_m);
+      if (!Number.isFinite(targetDistance) || targetDistance <= 0) {
+        rejected.push({ index: i, error: "target_distance_m invalide" });
+        continue;
+      }
+      // distance_m vient de la meilleure session du jour dans le sport du joueur cible, pas du client
+      const [sessionRows] = await pool.query(
+        "SELECT MAX(distance) AS distance FROM sessions WHERE user_id = ? AND date = ? AND type = ?",
+        [userId, achievedAt, target.main_type]
+      );
+      const bestDistance = Number(sessionRows?.[0]?.distance);
+      if (!Number.isFinite(bestDistance) || bestDistance < targetDistance) {
+        rejected.push({ index: i, error: "aucune session ne valide ce resultat" });
+        continue;
+      }
+      inserts.push([uuidv4(), userId, targetId, bestDistance, targetDistance, achievedAt]);
+    }
+
+    let inserted = 0;
+    if (inserts.length) {
+      const [result] = await pool.query(
+        "INSERT IGNORE INTO user_player_card_results (id, user_id, target_user_id, distance_m, target_distance_m, achieved_at) VALUES " +
+          inserts.map(() => "(?,?,?,?,?,?)").join(","),
+        inserts.flat()
+      );
+      inserted = result?.affectedRows || 0;
+    }
+    res.json({ inserted, rejected });
+  } catch (e) {
+    console.error("POST /me/user-card-results error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Comptes de cartes d'un user (débloquées + totaux)
+api.get("/users/:id/card-results-counts", requireAuth, async (req, res) => {
+  try {
+    const userId = req.params?.id;
+    if (!userId) return res.status(400).json({ error: "user_id requis" });
+
+    const totals = { defi: 0, rare: 0, evenement: 0 };
+    const counts = { defi: 0, rare: 0, evenement: 0 };
+
+    const [totalRows] = await pool.query(
+      "SELECT LOWER(bot_card_type) AS type, COUNT(*) AS total " +
+        "FROM users WHERE is_bot = 1 AND bot_card_type IN ('defi','rare','evenement') " +
+        "GROUP BY LOWER(bot_card_type)"
+    );
+    totalRows.forEach((row) => {
+      if (row?.type && totals[row.type] !== undefined) totals[row.type] = Number(row.total) || 0;
+    });
+
+    const [countRows] = await pool.query(
+      "SELECT LOWER(type) AS type, COUNT(DISTINCT bot_id) AS total " +
+        "FROM user_card_results WHERE user_id = ? AND type IN ('defi','rare','evenement') " +
+        "GROUP BY LOWER(type)",
+      [userId]
+    );
+    countRows.forEach((row) => {
+      if (row?.type && counts[row.type] !== undefined) counts[row.type] = Number(row.total) || 0;
+    });
+
+    const [userCountRows] = await pool.query(
+      "SELECT COUNT(DISTINCT target_user_id) AS total FROM user_player_card_results WHERE user_id = ? AND target_user_id <> user_id",
+      [userId]
+    );
+    const userCount = Number(userCountRows?.[0]?.total) || 0;
+
+    const [userTotalRows] = await pool.query(
+      "SELECT COUNT(*) AS total FROM users WHERE is_bot = 0 AND id <> ?",
+      [userId]
+    );
+    const userTotal = Number(userTotalRows?.[0]?.total) || 0;
+
+    res.json({
+      defi: counts.defi,
+      rare: counts.rare,
+      evenement: counts.evenement,
+      user: userCount,
+      userTotal: userTotal,
+      defiTotal: totals.defi,
+      rareTotal: totals.rare,
+      evenementTotal: totals.evenement,
+    });
+  } catch (e) {
+    console.error("GET /users/:id/card-results-counts error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Creation pour user courant
+api.post("/me/sessions", apiKeyScope("sessions:write"), requireAuth, applyIdempotencyKey, async (req, res) => {
+  try {
+    const { distance, date, id, type } = req.body || {};
+
+    const t = normalizeType(type);
+
+    if (!date) return res.status(400).json({ error: "date requise" });
+    if (typeof distance === "undefined" || distance === null || distance === "") {
+      return res.status(400).json({ error: "distance requise" });
+    }
+
+    const distNum = validateDistance(distance);
+    if (!distNum) return res.status(400).json({ error: "distance invalide" });
+
+    if (!isValidType(t)) {
+      return res.status(400).json({ error: "type invalide (swim|run)" });
+    }
+
+    const { extras, error: extrasError } = validateSessionExtras(req.body);
+    if (extrasError) return res.status(400).json({ error: extrasError });
+
+    const session = { id, userId: req.user.id, date, distance: distNum, type: t, extras };
+    const created = await createSessionWithRewards(session);
+
+    res.status(201).json(mapCreatedSession({ ...session, id: created.id }, created.challengeCompleted));
+  } catch (e) {
+    console.error("POST /me/sessions error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Import GPX / TCX pour user courant (?dry_run=1 => apercu sans insertion)
+api.post("/me/sessions/import", apiKeyScope("sessions:write"), requireAuth, (req, res, next) => {
+  activityUpload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "fichier trop volumineux" });
+    return res.status(400).json({ error: err.message });
+  });
+}, applyIdempotencyKey, async (req, res) => {
+  try {
+    if (!req.file?.buffer?.length) return res.status(400).json({ error: "fichier requis (champ file)" });
+
+    const timeZone = req.body?.timezone || req.query?.timezone || null;
+    if (timeZone && !isValidTimeZone(timeZone)) return res.status(400).json({ error: "timezone invalide (IANA, ex. Europe/Paris)" });
+    const parsed = parseActivityFile(req.file.buffer, req.file.originalname, timeZone);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const requestedType = req.body?.type || req.query?.type;
+    const t = requestedType ? normalizeType(requestedType) : parsed.session.type || "run";
+    if (!isValidType(t)) return res.status(400).json({ error: "type invalide (swim|run)" });
+
+    const { extras, error: extrasError } = validateSessionExtras({
+      ...parsed.session.extras,
+      perceived_effort: req.body?.perceived_effort,
+      notes: req.body?.notes,
+    });
+    if (extrasError) return res.status(400).json({ error: extrasError });
+
+    const session = {
+      userId: req.user.id,
+      date: parsed.session.date,
+      distance: parsed.session.distance,
+      type: t,
+      extras,
+    };
+
+    if (String(req.query?.dry_run || "") === "1") {
+      return res.json({
+        dry_run: true,
+        format: parsed.format,
+        session: mapCreatedSession({ ...session, id: null }, null),
+      });
+    }
+
+    const created = await createSessionWithRewards(session);
+    res.status(201).json({
+      format: parsed.format,
+      ...mapCreatedSession({ ...session, id: created.id }, created.challengeCompleted),
+    });
+  } catch (e) {
+    console.error("POST /me/sessions/import error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const [rows] = await pool.query(sql, params);
-    res.json(rows.map(mapSessionRow));
+// Export des sessions du user courant
+api.get("/me/sessions/export", requireAuth, async (req, res) => {
+  try {
+    const format = String(req.query?.format || "csv").toLowerCase();
+    if (format !== "csv" && format !== "json") return res.status(400).json({ error: "format invalide (csv|json)" });
+
+    const [rows] = await pool.query(
+      "SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, type, distance, duration_s, elevation_gain_m, avg_hr, " +
+        "perceived_effort, notes, DATE_FORMAT(start_datetime, '%Y-%m-%d %H:%i:%s') AS start_datetime, strava_activity_id, " +
+        "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
+        "FROM sessions WHERE user_id = ? ORDER BY date ASC, created_at ASC",
+      [req.user.id]
+    );
+    const filename = `natrack-sessions-${getLocalDateString()}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "json") return res.json(rows || []);
+    res.type("text/csv").send(toCsv(SESSION_EXPORT_COLUMNS, rows || []));
   } catch (e) {
-    console.error("GET /me/sessions error:", e);
+    console.error("GET /me/sessions/export error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Sessions publiques d'un user (lecture seule)
-api.get("/users/:userId/sessions/public", async (req, res) => {
+// Import en masse (CSV en text/csv, ou JSON: tableau / { sessions, skip_rewards })
+// Les lignes invalides ou en doublon (date + distance + type) sont ignorees et listees.
+api.post(
+  "/me/sessions/bulk",
+  apiKeyScope("sessions:write"),
+  requireAuth,
+  express.json({ limit: "5mb", verify: captureRawBody }),
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  applyIdempotencyKey,
+  async (req, res) => {
+    try {
+      let input = [];
+      let skipRewards = String(req.query?.skip_rewards || "") === "1";
+      if (typeof req.body === "string") {
+        input = parseCsv(req.body);
+      } else if (Array.isArray(req.body)) {
+        input = req.body;
+      } else if (Array.isArray(req.body?.sessions)) {
+        input = req.body.sessions;
+        if (req.body.skip_rewards === true) skipRewards = true;
+      } else if (typeof req.body?.csv === "string") {
+        input = parseCsv(req.body.csv);
+        if (req.body.skip_rewards === true) skipRewards = true;
+      }
+      if (!input.length) return res.status(400).json({ error: "aucune session a importer" });
+      if (input.length > BULK_MAX_ROWS) {
+        return res.status(400).json({ error: `trop de lignes (${BULK_MAX_ROWS} max)` });
+      }
+
+      const errors = [];
+      const duplicates = [];
+      const valid = [];
+      input.forEach((raw, idx) => {
+        const { value, error } = validateSessionInput(raw);
+        if (error) errors.push({ row: idx + 1, error });
+        else valid.push({ row: idx + 1, ...value });
+      });
+
+      const seen = new Set();
+      if (valid.length) {
+        const dates = valid.map((v) => v.date).sort();
+        const [existing] = await pool.query(
+          "SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date, distance, type FROM sessions " +
+            "WHERE user_id = ? AND date BETWEEN ? AND ?",
+          [req.user.id, dates[0], dates[dates.length - 1]]
+        );
+        (existing || []).forEach((r) => seen.add(sessionDedupKey(r.date, r.distance, r.type)));
+      }
+      const toInsert = [];
+      for (const v of valid) {
+        const key = sessionDedupKey(v.date, v.distance, v.type);
+        if (seen.has(key)) {
+          duplicates.push({ row: v.row, date: v.date, distance: v.distance, type: v.type });
+          continue;
+        }
+        seen.add(key);
+        toInsert.push({ ...v, id: uuidv4() });
+      }
+
+      if (String(req.query?.dry_run || "") === "1") {
+        return res.json({ dry_run: true, inserted: 0, to_insert: toInsert.length, duplicates, errors });
+      }
+
+      // Un lot en echec est annule et liste; les lots deja commites restent (succes partiel => 207)
+      const inserted = [];
+      const failedBatches = [];
+      for (let i = 0; i < toInsert.length; i += BULK_BATCH_SIZE) {
+        const batch = toInsert.slice(i, i + BULK_BATCH_SIZE);
+        try {
+          await withTransaction(async (conn) => {
+            for (const v of batch) {
+              const extraCols = Object.keys(v.extras);
+              await conn.query(
+                `INSERT INTO sessions (id, user_id, date, distance, type${extraCols.map((c) => `, ${c}`).join("")}) ` +
+                  `VALUES (?, ?, ?, ?, ?${extraCols.map(() => ", ?").join("")})`,
+                [v.id, req.user.id, v.date, v.distance, v.type, ...extraCols.map((c) => v.extras[c])]
+              );
+            }
+          });
+          inserted.push(...batch);
+        } catch (e) {
+          console.error("POST /me/sessions/bulk batch error:", e);
+          failedBatches.push({ rows: batch.map((v) => v.row), error: e.message });
+        }
+      }
+
+      let challengesCompleted = 0;
+      const rewardErrors = [];
+      if (!skipRewards) {
+        const ordered = [...inserted].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        for (const v of ordered) {
+          try {
+            const completed = await withTransaction((conn) =>
+              awardSessionRewards(conn, { userId: req.user.id, sessionId: v.id, sessionDate: v.date, distance: v.distance, type: v.type })
+            );
+            if (completed) challengesCompleted += 1;
+          } catch (e) {
+            console.error("POST /me/sessions/bulk rewards error:", e);
+            rewardErrors.push({ row: v.row, id: v.id, error: e.message });
+          }
+        }
+      }
+
+      const partial = failedBatches.length > 0 || rewardErrors.length > 0;
+      res.status(partial ? 207 : 201).json({
+        inserted: inserted.length,
+        ids: inserted.map((v) => v.id),
+        rows: inserted.map((v) => ({ row: v.row, id: v.id })),
+        duplicates,
+        errors,
+        failed_batches: failedBatches,
+        reward_errors: rewardErrors,
+        rewards_evaluated: !skipRewards,
+        challenges_completed: challengesCompleted,
+      });
+    } catch (e) {
+      console.error("POST /me/sessions/bulk error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// Update pour user courant
+api.put("/me/sessions/:id", apiKeyScope("sessions:write"), requireAuth, applyIdempotencyKey, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const type = req.query?.type ? normalizeType(req.query.type) : null;
-    const pageRaw = req.query?.page;
-    const limitRaw = req.query?.limit;
-    const limit = limitRaw ? Math.min(Math.max(parseInt(limitRaw, 10) || 0, 1), 200) : 0;
-    const page = limit ? Math.max(parseInt(pageRaw, 10) || 1, 1) : 1;
+    const { id } = req.params;
+    const { distance, date, type } = req.body || {};
+    const { extras, error: extrasError } = validateSessionExtras(req.body);
+    if (extrasError) return res.status(400).json({ error: extrasError });
 
-    if (type && !isValidType(type)) {
-      return res.status(400).json({ error: "type invalide (swim|run)" });
+    if (typeof distance === "undefined" && !date && typeof type === "undefined" && !Object.keys(extras).length) {
+      return res.status(400).json({ error: "aucune donnée à mettre à jour" });
     }
 
-    const from = isValidDateString(req.query?.from) ? req.query.from : null;
-    const to = isValidDateString(req.query?.to) ? req.query.to : null;
+    const fields = [];
+    const params = [];
 
-    let sqlSelect =
-      "SELECT s.id, DATE_FORMAT(s.date, '%Y-%m-%d') AS date, DATE_FORMAT(s.created_at, '%Y-%m-%d %H:%i:%s') AS created_at, s.distance, s.type, s.user_id, s.strava_activity_id, " +
-      "u.name AS user_name, u.is_bot AS is_bot, " +
-      "r.id AS challenge_id, r.type AS challenge_type, r.distance_m AS challenge_distance_m, " +
-      "r.target_distance_m AS challenge_target_distance_m, r.bot_id AS challenge_bot_id, " +
-      "b.name AS challenge_bot_name, DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS challenge_achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS challenge_achieved_at_time, " +
-      "l.likes_count AS likes_count " +
-      "FROM sessions s " +
-      "LEFT JOIN users u ON u.id = s.user_id " +
-      "LEFT JOIN (" +
-      "  SELECT r1.* FROM user_card_results r1 " +
-      "  INNER JOIN (" +
-      "    SELECT session_id, MIN(created_at) AS created_at " +
-      "    FROM user_card_results WHERE session_id IS NOT NULL " +
-      "    GROUP BY session_id" +
-      "  ) r2 ON r1.session_id = r2.session_id AND r1.created_at = r2.created_at" +
-      ") r ON r.session_id = s.id AND r.user_id = s.user_id " +
-      "LEFT JOIN users b ON b.id = r.bot_id " +
-      "LEFT JOIN (" +
-      "  SELECT session_id, COUNT(*) AS likes_count FROM session_likes GROUP BY session_id" +
-      ") l ON l.session_id = s.id";
-    let sqlCount = "SELECT COUNT(*) AS total FROM sessions s";
-    const conds = ["s.user_id = ?"];
-    const params = [userId];
+    if (date) {
+      fields.push("date = ?");
+      params.push(date);
+    }
+
+    if (typeof distance !== "undefined") {
+      const distNum = validateDistance(distance);
+      if (!distNum) return res.status(400).json({ error: "distance invalide" });
+      fields.push("distance = ?");
+      params.push(distNum);
+    }
+
+    if (typeof type !== "undefined") {
+      const t = normalizeType(type);
+      if (!isValidType(t)) return res.status(400).json({ error: "type invalide (swim|run)" });
+      fields.push("type = ?");
+      params.push(t);
+    }
+
+    for (const [field, value] of Object.entries(extras)) {
+      fields.push(`${field} = ?`);
+      params.push(value);
+    }
+
+    params.push(id, req.user.id);
+
+    // Modification + recalcul des recompenses dans la meme transaction (rollback des deux si erreur)
+    const rewardsChanged = date || typeof distance !== "undefined" || typeof type !== "undefined";
+    const updated = await withTransaction(async (conn) => {
+      const before = await getSessionDateForUser(id, req.user.id, conn);
+      if (!before) return null;
+      const [result] = await conn.query(
+        `UPDATE sessions SET ${fields.join(", ")} WHERE id = ? AND user_id = ?`,
+        params
+      );
+      if (result.affectedRows === 0) return null;
+      return { rewards: rewardsChanged ? await refreshSessionRewards(req.user.id, id, before, conn) : null };
+    });
+    if (!updated) return res.status(404).json({ error: "not found" });
+    const { rewards } = updated;
+
+    res.json({ id, date, distance, type, ...extras, rewards });
+  } catch (e) {
+    console.error("PUT /me/sessions/:id error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Suppression pour user courant
+api.delete("/me/sessions/:id", apiKeyScope("sessions:write"), requireAuth, applyIdempotencyKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await withTransaction(async (conn) => {
+      const before = await getSessionDateForUser(id, req.user.id, conn);
+      if (!before) return false;
+      const [result] = await conn.query("DELETE FROM sessions WHERE id = ? AND user_id = ?", [id, req.user.id]);
+      if (result.affectedRows === 0) return false;
+      await refreshSessionRewards(req.user.id, id, before, conn);
+      return true;
+    });
+    if (!deleted) return res.status(404).json({ error: "not found" });
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /me/sessions/:id error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Admin: liste des users
+
+// Stats cartes (admin)
+api.get("/admin/challenge-stats", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const today = getLocalDateString();
+    let from = isValidDateString(req.query?.from) ? req.query.from : null;
+    let to = isValidDateString(req.query?.to) ? req.query.to : null;
+
+    if (!from) {
+      const [season0Rows] = await pool.query(
+        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons WHERE season_number = 0 LIMIT 1"
+      );
+      const [firstRows] = await pool.query(
+        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons ORDER BY start_date ASC LIMIT 1"
+      );
+      from = season0Rows?.[0]?.start_date || firstRows?.[0]?.start_date || "2026-01-31";
+    }
+    if (!to) to = today;
+    if (from > to) {
+      const tmp = from;
+      from = to;
+      to = tmp;
+    }
+
+    if (String(req.query?.rebuild || "") === "1") {
+      await rebuildChallengeStats(pool, from, to);
+    }
+
+    const [rows] = await pool.query(
+      "SELECT DATE_FORMAT(stat_date, '%Y-%m-%d') AS stat_date, season_number, total_count, defi_count, rare_count, event_count, " +
+        "season_current_count, season_other_count, season_none_count, event_season_current_count, event_season_other_count, event_season_none_count, " +
+        "rare_season_current_count, rare_season_other_count, rare_season_none_count " +
+        "FROM daily_challenge_stats WHERE stat_date BETWEEN ? AND ? ORDER BY stat_date ASC",
+      [from, to]
+    );
+
+    const [activeRows] = await pool.query(
+      "SELECT season_number FROM seasons WHERE start_date <= ? ORDER BY start_date DESC, season_number DESC LIMIT 1",
+      [today]
+    );
+    const activeSeasonNumber = activeRows?.[0]?.season_number ?? null;
+
+    res.json({ from, to, rows: rows || [], activeSeasonNumber });
+  } catch (e) {
+    console.error("GET /admin/challenge-stats error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Stats cartes par joueur (admin)
+api.get("/admin/challenge-stats/users", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const today = getLocalDateString();
+    let from = isValidDateString(req.query?.from) ? req.query.from : null;
+    let to = isValidDateString(req.query?.to) ? req.query.to : null;
+
+    if (!from) {
+      const [season0Rows] = await pool.query(
+        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons WHERE season_number = 0 LIMIT 1"
+      );
+      const [firstRows] = await pool.query(
+        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons ORDER BY start_date ASC LIMIT 1"
+      );
+      from = season0Rows?.[0]?.start_date || firstRows?.[0]?.start_date || "2026-01-31";
+    }
+    if (!to) to = today;
+    if (from > to) {
+      const tmp = from;
+      from = to;
+      to = tmp;
+    }
+
+    const [activeRows] = await pool.query(
+      "SELECT season_number FROM seasons WHERE start_date <= ? ORDER BY start_date DESC, season_number DESC LIMIT 1",
+      [today]
+    );
+    const activeSeasonNumber = activeRows?.[0]?.season_number ?? null;
+
+    const [rows] = await pool.query(
+      "SELECT DATE_FORMAT(c.start_date, '%Y-%m-%d') AS stat_date, " +
+        "c.user_id, u.name AS user_name, c.bot_id, b.name AS bot_name, LOWER(c.type) AS type, b.bot_season_int, c.target_distance_m " +
+        "FROM user_challenges c " +
+        "LEFT JOIN users u ON u.id = c.user_id " +
+        "LEFT JOIN users b ON b.id = c.bot_id " +
+        "WHERE c.type IN ('defi','rare','evenement') " +
+        "AND c.start_date BETWEEN ? AND ? " +
+        "ORDER BY stat_date ASC, u.name ASC, b.name ASC",
+      [from, to]
+    );
+
+    const mapped = (rows || []).map((row) => {
+      const seasonInt = row?.bot_season_int;
+      let seasonBucket = "none";
+      if (seasonInt !== null && seasonInt !== undefined) {
+        seasonBucket =
+          activeSeasonNumber !== null && activeSeasonNumber !== undefined && String(seasonInt) === String(activeSeasonNumber)
+            ? "current"
+            : "other";
+      }
+      return { ...row, season_bucket: seasonBucket };
+    });
+
+    res.json({ from, to, rows: mapped, activeSeasonNumber });
+  } catch (e) {
+    console.error("GET /admin/challenge-stats/users error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Admin: codes d'invitation
+api.get("/admin/invite-codes", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT i.id, i.code, i.max_uses, i.uses_count, i.note, i.created_by, u.name AS created_by_name, " +
+        "DATE_FORMAT(i.expires_at, '%Y-%m-%d %H:%i:%s') AS expires_at, " +
+        "DATE_FORMAT(i.revoked_at, '%Y-%m-%d %H:%i:%s') AS revoked_at, " +
+        "DATE_FORMAT(i.last_used_at, '%Y-%m-%d %H:%i:%s') AS last_used_at, " +
+        "DATE_FORMAT(i.created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
+        "FROM invite_codes i LEFT JOIN users u ON u.id = i.created_by ORDER BY i.created_at DESC"
+    );
+    res.json(rows || []);
+  } catch (e) {
+    console.error("GET /admin/invite-codes error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+api.post("/admin/invite-codes", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const maxUsesRaw = req.body?.max_uses;
+    const maxUses = typeof maxUsesRaw === "undefined" || maxUsesRaw === null ? 1 : parseInt(maxUsesRaw, 10);
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > 1000) {
+      return res.status(400).json({ error: "max_uses invalide (1-1000)" });
+    }
+    const expiresAt = req.body?.expires_at ? toMysqlDateTime(req.body.expires_at) : null;
+    if (expiresAt && Number.isNaN(new Date(expiresAt.replace(" ", "T")).getTime())) {
+      return res.status(400).json({ error: "expires_at invalide" });
+    }
+    const note = req.body?.note ? String(req.body.note).slice(0, 255) : null;
+
+    const id = uuidv4();
+    const code = generateInviteCode();
+    await pool.query(
+      "INSERT INTO invite_codes (id, code, max_uses, expires_at, note, created_by) VALUES (?, ?, ?, ?, ?, ?)",
+      [id, code, maxUses, expiresAt, note, req.user.id]
+    );
+    res.status(201).json({ id, code, max_uses: maxUses, uses_count: 0, expires_at: expiresAt, note });
+  } catch (e) {
+    console.error("POST /admin/invite-codes error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+api.delete("/admin/invite-codes/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      "UPDATE invite_codes SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: "not found" });
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /admin/invite-codes/:id error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    if (type) {
-      conds.push("s.type = ?");
-      params.push(type);
-    }
-    if (from && to) {
-      conds.push("s.date BETWEEN ? AND ?");
-      params.push(from, to);
-    } else if (from) {
-      conds.push("s.date >= ?");
-      params.push(from);
-    } else if (to) {
-      conds.push("s.date <= ?");
-      params.push(to);
-    }
+/* =========================
+   Admin news
+   ========================= */
+const NEWS_FIELDS = [
+  "title",
+  "subtitle",
+  "city",
+  "image_url",
+  "image_focus_y",
+  "link_url",
+  "event_date",
+  "show_event_date",
+  "status",
+  "published_at",
+  "expires_at",
+];
+
+// Valide la news complete (existante + modifications) => { values } ou { error }
+function validateNewsInput(input, existing = {}) {
+  const v = {};
+  for (const field of NEWS_FIELDS) {
+    v[field] = Object.prototype.hasOwnProperty.call(input || {}, field) ? input[field] : existing[field] ?? null;
+  }
 
-    if (conds.length) {
-      const where = " WHERE " + conds.join(" AND ");
-      sqlSelect += where;
-      sqlCount += where;
+  for (const field of ["title", "subtitle", "image_url"]) {
+    v[field] = String(v[field] || "").trim();
+    if (!v[field] || v[field].length > 255) return { error: `${field} requis (255 caracteres max)` };
+  }
+  v.city = String(v.city || "").trim();
+  if (!v.city || v.city.length > 120) return { error: "city requis (120 caracteres max)" };
+  v.link_url = v.link_url ? String(v.link_url).trim() : null;
+  for (const field of ["image_url", "link_url"]) {
+    if (v[field] && (v[field].length > 512 || !/^(https?:\/\/|\/)/i.test(v[field]))) {
+      return { error: `${field} invalide (http(s):// ou /chemin)` };
+    }
+  }
+  v.image_focus_y = optionalNumber(v.image_focus_y);
+  if (v.image_focus_y !== null && (!Number.isInteger(v.image_focus_y) || v.image_focus_y < 0 || v.image_focus_y > 100)) {
+    return { error: "image_focus_y invalide (0-100)" };
+  }
+  if (!isValidDateString(v.event_date)) return { error: "event_date invalide (YYYY-MM-DD)" };
+  v.show_event_date = v.show_event_date === null ? 1 : v.show_event_date && v.show_event_date !== "0" ? 1 : 0;
+
+  v.status = v.status || "draft";
+  if (!NEWS_STATUSES.includes(v.status)) return { error: `status invalide (${NEWS_STATUSES.join("|")})` };
+  for (const field of ["published_at", "expires_at"]) {
+    if (!v[field]) {
+      v[field] = null;
+      continue;
     }
+    v[field] = toLocalMysqlDateTime(v[field]);
+    if (!v[field]) return { error: `${field} invalide (ISO 8601, ex. 2026-05-01T08:00:00+02:00)` };
+  }
+  if (v.published_at && v.expires_at && v.expires_at <= v.published_at) {
+    return { error: "expires_at doit etre apres published_at" };
+  }
+  return { values: v };
+}
 
-    sqlSelect += " ORDER BY s.date ASC";
+async function getNewsById(id) {
+  const [rows] = await pool.query(`${NEWS_SELECT} WHERE id = ?`, [id]);
+  return rows?.[0] || null;
+}
 
-    if (limit) {
-      sqlSelect += " LIMIT ? OFFSET ?";
-      params.push(limit, (page - 1) * limit);
-      const [rows] = await pool.query(sqlSelect, params);
-      const [countRows] = await pool.query(sqlCount, params.slice(0, params.length - 2));
-      const total = countRows?.[0]?.total || 0;
-      return res.json({
-        rows: rows.map(mapSessionRow),
-        page,
-        limit,
-        total,
-      });
+// Toutes les news (brouillons, programmees, expirees); state = draft|scheduled|live|expired
+api.get("/admin/news", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const state = req.query?.state;
+    if (state && !NEWS_STATES.includes(state)) {
+      return res.status(400).json({ error: `state invalide (${NEWS_STATES.join("|")})` });
     }
-
-    const [rows] = await pool.query(sqlSelect, params);
-    res.json(rows.map(mapSessionRow));
+    const [rows] = await pool.query(`${NEWS_SELECT} ${NEWS_ORDER}`);
+    res.json((rows || []).filter((row) => !state || row.state === state));
   } catch (e) {
-    console.error("GET /users/:userId/sessions/public error:", e);
+    console.error("GET /admin/news error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Defi actif du user courant
-api.get("/me/challenge", requireAuth, async (req, res) => {
+api.post("/admin/news", requireAuth, requireAdmin, async (req, res) => {
   try {
-    const active = await getActiveChallenge(req.user.id);
-    if (!active) return res.json({ challenge: null });
-    res.json({ challenge: active });
+    const { values, error } = validateNewsInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const id = uuidv4();
+    await pool.query(
+      `INSERT INTO news_items (id, ${NEWS_FIELDS.join(", ")}) VALUES (?, ${NEWS_FIELDS.map(() => "?").join(", ")})`,
+      [id, ...NEWS_FIELDS.map((f) => values[f])]
+    );
+    res.status(201).json(await getNewsById(id));
   } catch (e) {
-    console.error("GET /me/challenge error:", e);
+    console.error("POST /admin/news error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
+api.put("/admin/news/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const existing = await getNewsById(req.params.id);
+    if (!existing) return res.status(404).json({ error: "not found" });
+    const { values, error } = validateNewsInput(req.body, existing);
+    if (error) return res.status(400).json({ error });
+
+    await pool.query(`UPDATE news_items SET ${NEWS_FIELDS.map((f) => `${f} = ?`).join(", ")} WHERE id = ?`, [
+      ...NEWS_FIELDS.map((f) => values[f]),
+      existing.id,
+    ]);
+    res.json(await getNewsById(existing.id));
+  } catch (e) {
+    console.error("PUT /admin/news/:id error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-// Annuler le defi actif du user courant
-api.post("/me/challenge/cancel", requireAuth, async (req, res) => {
+api.delete("/admin/news/:id", requireAuth, requireAdmin, async (req, res) => {
   try {
-    const active = await getActiveChallenge(req.user.id);
-    if (!active) return res.json({ cancelled: false });
-    const [result] = await pool.query(
-      "UPDATE user_challenges SET status = 'cancelled' WHERE id = ? AND status = 'active'",
-      [active.id]
-    );
-    if (result.affectedRows === 0) return res.json({ cancelled: false });
-    await pool.query(
-      "UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL AND type = 'challenge_start'",
-      [req.user.id]
-    );
-    res.json({ cancelled: true, challenge_id: active.id });
+    const [result] = await pool.query("DELETE FROM news_items WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) return res.status(404).json({ error: "not found" });
+    res.status(204).end();
   } catch (e) {
-    console.error("POST /me/challenge/cancel error:", e);
+    console.error("DELETE /admin/news/:id error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Notifications du user courant
-api.get("/me/notifications", requireAuth, async (req, res) => {
+// Admin: evenements webhook Strava (failed par defaut) + replay
+api.get("/admin/strava/events", requireAuth, requireAdmin, async (req, res) => {
   try {
+    const status = req.query?.status ? String(req.query.status) : "failed";
+    if (!["pending", "processing", "done", "failed"].includes(status)) {
+      return res.status(400).json({ error: "status invalide (pending|processing|done|failed)" });
+    }
     const limit = Math.min(Number(req.query?.limit) || 50, 200);
-    await pool.query(
-      "UPDATE notifications SET read_at = NOW() " +
-        "WHERE user_id = ? AND read_at IS NULL AND type = 'event_start' " +
-        "AND DATE(created_at) < CURDATE()",
-      [req.user.id]
-    );
-    await pool.query(
-      "UPDATE notifications SET read_at = NOW() " +
-        "WHERE user_id = ? AND read_at IS NULL AND type = 'challenge_start' " +
-        "AND DATE(created_at) < DATE_SUB(CURDATE(), INTERVAL 2 DAY)",
-      [req.user.id]
-    );
-    await pool.query(
-      "UPDATE notifications SET read_at = NOW() " +
-        "WHERE user_id = ? AND read_at IS NULL AND type IN ('challenge_success','event_success') " +
-        "AND DATE(created_at) < DATE_SUB(CURDATE(), INTERVAL 7 DAY)",
-      [req.user.id]
-    );
+    const offset = Math.max(Number(req.query?.offset) || 0, 0);
     const [rows] = await pool.query(
-      "SELECT id, type, title, body, meta_json, " +
+      "SELECT id, object_type, object_id, aspect_type, owner_id, event_time, status, attempts, last_error, " +
+        "DATE_FORMAT(next_attempt_at, '%Y-%m-%d %H:%i:%s') AS next_attempt_at, " +
+        "DATE_FORMAT(processed_at, '%Y-%m-%d %H:%i:%s') AS processed_at, " +
         "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at, " +
-        "DATE_FORMAT(read_at, '%Y-%m-%d %H:%i:%s') AS read_at " +
-        "FROM notifications WHERE user_id = ? ORDER BY created_at DESC LIMIT ?",
-      [req.user.id, limit]
+        "DATE_FORMAT(updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at " +
+        "FROM strava_events WHERE status = ? ORDER BY updated_at DESC LIMIT ? OFFSET ?",
+      [status, limit, offset]
     );
-    const mapped = rows.map((row) => ({
-      id: row.id,
-      type: row.type,
-      title: row.title || null,
-      body: row.body || null,
-      meta: row.meta_json ? JSON.parse(row.meta_json) : null,
-      created_at: row.created_at,
-      read_at: row.read_at || null,
-    }));
-    res.json(mapped);
+    res.json((rows || []).map(mapStravaEventRow));
   } catch (e) {
-    console.error("GET /me/notifications error:", e);
+    console.error("GET /admin/strava/events error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Marquer des notifications comme lues
-api.post("/me/notifications/read", requireAuth, async (req, res) => {
+api.post("/admin/strava/events/:id/replay", requireAuth, requireAdmin, async (req, res) => {
   try {
-    const ids = Array.isArray(req.body?.ids) ? req.body.ids : (req.body?.id ? [req.body.id] : []);
-    const clean = ids.map((id) => String(id)).filter(Boolean);
-    if (!clean.length) return res.json({ updated: 0 });
-    const placeholders = clean.map(() => "?").join(",");
     const [result] = await pool.query(
-      `UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND id IN (${placeholders})`,
-      [req.user.id, ...clean]
+      "UPDATE strava_events SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NOW() " +
+        "WHERE id = ? AND status = 'failed'",
+      [req.params.id]
     );
-    res.json({ updated: result?.affectedRows || 0 });
+    if (result.affectedRows === 0) return res.status(404).json({ error: "not found" });
+    processStravaEvents().catch((e) => console.error("processStravaEvents error:", e));
+    res.status(202).json({ id: req.params.id, status: "pending" });
   } catch (e) {
-    console.error("POST /me/notifications/read error:", e);
+    console.error("POST /admin/strava/events/:id/replay error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Resultats des cartes pour un bot
-api.get("/me/card-results", requireAuth, async (req, res) => {
+api.post("/admin/strava/events/replay", requireAuth, requireAdmin, async (_req, res) => {
   try {
-    const botId = req.query?.bot_id;
-    const params = [req.user.id];
-    let sql =
-      "SELECT r.id, r.bot_id, u.name AS bot_name, r.type, r.distance_m, r.target_distance_m, r.session_id, " +
-      "DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS achieved_at, DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS achieved_at_time " +
-      "FROM user_card_results r LEFT JOIN users u ON u.id = r.bot_id WHERE r.user_id = ?";
-    if (botId) {
-      sql += " AND r.bot_id = ?";
-      params.push(botId);
-    }
-    sql += " ORDER BY r.achieved_at DESC, r.created_at DESC";
-    const [rows] = await pool.query(sql, params);
-    res.json(rows);
+    const [result] = await pool.query(
+      "UPDATE strava_events SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NOW() " +
+        "WHERE status = 'failed'"
+    );
+    processStravaEvents().catch((e) => console.error("processStravaEvents error:", e));
+    res.status(202).json({ replayed: result.affectedRows });
   } catch (e) {
-    console.error("GET /me/card-results error:", e);
+    console.error("POST /admin/strava/events/replay error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Resultats des cartes pour un joueur
-api.get("/me/user-card-results", requireAuth, async (req, res) => {
+// Admin: abonnement push Strava (push_subscriptions) + etat de reception des evenements
+async function stravaSubscriptionRequest(path, method, params) {
+  const query = new URLSearchParams({ client_id: STRAVA_CLIENT_ID, client_secret: STRAVA_CLIENT_SECRET, ...(params || {}) });
+  const options = { method };
+  let url = `/api/v3/push_subscriptions${path}`;
+  if (method === "POST") {
+    options.headers = { "Content-Type": "application/x-www-form-urlencoded" };
+    options.body = query;
+  } else {
+    url += `?${query.toString()}`;
+  }
+  const subRes = await stravaFetch(url, options);
+  const data = subRes.status === 204 ? null : await subRes.json().catch(() => null);
+  return { status: subRes.status, ok: subRes.ok, data };
+}
+
+api.get("/admin/strava/subscription", requireAuth, requireAdmin, async (_req, res) => {
   try {
-    const targetId = req.query?.target_user_id;
-    const params = [req.user.id];
-    let sql =
-      "SELECT r.id, r.target_user_id, u.name AS target_name, r.distance_m, r.target_distance_m, " +
-      "DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS achieved_at, " +
-      "DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS created_at " +
-      "FROM user_player_card_results r LEFT JOIN users u ON u.id = r.target_user_id WHERE r.user_id = ?";
-    if (targetId) {
-      sql += " AND r.target_user_id = ?";
-      params.push(targetId);
-    }
-    sql += " ORDER BY r.achieved_at DESC, r.created_at DESC";
-    const [rows] = await pool.query(sql, params);
-    res.json(rows || []);
+    if (!STRAVA_CLIENT_ID || !STRAVA_CLIENT_SECRET) return res.status(500).json({ error: "missing_strava_config" });
+    const sub = await stravaSubscriptionRequest("", "GET");
+    if (!sub.ok) return res.status(502).json({ error: sub.data?.message || "strava_subscription_error" });
+
+    const [statsRows] = await pool.query(
+      "SELECT DATE_FORMAT(MAX(received_at), '%Y-%m-%d %H:%i:%s') AS last_received_at, " +
+        "SUM(received_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)) AS received_24h, " +
+        "SUM(status = 'pending') AS pending, SUM(status = 'processing') AS processing, " +
+        "SUM(status = 'done') AS done, SUM(status = 'failed') AS failed, COUNT(*) AS total " +
+        "FROM strava_events"
+    );
+    const stats = statsRows?.[0] || {};
+    res.json({
+      stub: STRAVA_STUB,
+      subscription: (Array.isArray(sub.data) && sub.data[0]) || null,
+      events: {
+        last_received_at: stats.last_received_at || null,
+        received_24h: Number(stats.received_24h) || 0,
+        pending: Number(stats.pending) || 0,
+        processing: Number(stats.processing) || 0,
+        done: Number(stats.done) || 0,
+        failed: Number(stats.failed) || 0,
+        total: Number(stats.total) || 0,
+      },
+    });
   } catch (e) {
-    console.error("GET /me/user-card-results error:", e);
+    console.error("GET /admin/strava/subscription error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-api.post("/me/user-card-results", requireAuth, async (req, res) => {
+api.post("/admin/strava/subscription", requireAuth, requireAdmin, async (req, res) => {
   try {
-    const raw = Array.isArray(req.body?.results) ? req.body.results : (req.body?.result ? [req.body.result] : []);
-    const clean = raw
-      .map((r) => ({
-        target_user_id: r?.target_user_id ? String(r.target_user_id) : "",
-        achieved_at: r?.achieved_at ? String(r.achieved_at) : "",
-        distance_m: Number(r?.distance_m),
-        target_distance_m: Number(r?.target_distance_m),
-      }))
-      .filter((r) => r.target_user_id && /^\d{4}-\d{2}-\d{2}$/.test(r.achieved_at) && Number.isFinite(r.distance_m) && Number.isFinite(r.target_distance_m));
-    if (!clean.length) return res.json({ inserted: 0 });
-    if (clean.length > 200) clean.length = 200;
-    const rows = clean.map((r) => [uuidv4(), req.user.id, r.target_user_id, r.distance_m, r.target_distance_m, r.achieved_at]);
-    const placeholders = rows.map(() => "(?,?,?,?,?,?)").join(",");
-    const sql = "INSERT IGNORE INTO user_player_card_results (id, user_id, target_user_id, distance_m, target_distance_m, achieved_at) VALUES " + placeholders;
-    const [result] = await pool.query(sql, rows.flat());
-    res.json({ inserted: result?.affectedRows || 0 });
+    if (!STRAVA_CLIENT_ID || !STRAVA_CLIENT_SECRET || !STRAVA_WEBHOOK_VERIFY_TOKEN) {
+      return res.status(500).json({ error: "missing_strava_config" });
+    }
+    const callbackUrl = String(req.body?.callback_url || STRAVA_WEBHOOK_CALLBACK_URL || "");
+    if (!/^https?:\/\//.test(callbackUrl)) return res.status(400).json({ error: "callback_url invalide" });
+    // Strava valide le callback par un GET /strava/webhook (hub.challenge) avant de repondre
+    const sub = await stravaSubscriptionRequest("", "POST", {
+      callback_url: callbackUrl,
+      verify_token: STRAVA_WEBHOOK_VERIFY_TOKEN,
+    });
+    if (!sub.ok) {
+      const detail = sub.data?.errors?.[0]?.code;
+      return res.status(sub.status === 400 ? 409 : 502).json({
+        error: detail ? `${sub.data?.message || "strava_subscription_error"}: ${detail}` : sub.data?.message || "strava_subscription_error",
+      });
+    }
+    stravaSubscriptionCache.fetchedAt = 0;
+    res.status(201).json({ id: sub.data?.id, callback_url: callbackUrl });
   } catch (e) {
-    console.error("POST /me/user-card-results error:", e);
+    console.error("POST /admin/strava/subscription error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Comptes de cartes d'un user (débloquées + totaux)
-api.get("/users/:id/card-results-counts", requireAuth, async (req, res) => {
+api.delete("/admin/strava/subscription", requireAuth, requireAdmin, async (_req, res) => {
   try {
-    const userId = req.params?.id;
-    if (!userId) return res.status(400).json({ error: "user_id requis" });
+    if (!STRAVA_CLIENT_ID || !STRAVA_CLIENT_SECRET) return res.status(500).json({ error: "missing_strava_config" });
+    const list = await stravaSubscriptionRequest("", "GET");
+    if (!list.ok) return res.status(502).json({ error: list.data?.message || "strava_subscription_error" });
+    const current = Array.isArray(list.data) ? list.data[0] : null;
+    if (!current) return res.status(404).json({ error: "not found" });
+    const del = await stravaSubscriptionRequest(`/${current.id}`, "DELETE");
+    if (!del.ok) return res.status(502).json({ error: del.data?.message || "strava_subscription_error" });
+    stravaSubscriptionCache.fetchedAt = 0;
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /admin/strava/subscription error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const totals = { defi: 0, rare: 0, evenement: 0 };
-    const counts = { defi: 0, rare: 0, evenement: 0 };
+// Admin (STRAVA_STUB=1): simule des activites Strava et envoie les evenements webhook correspondants
+function requireStravaStub(_req, res, next) {
+  if (!STRAVA_STUB) return res.status(404).json({ error: "not found" });
+  next();
+}
 
-    const [totalRows] = await pool.query(
-      "SELECT LOWER(bot_card_type) AS type, COUNT(*) AS total " +
-        "FROM users WHERE is_bot = 1 AND bot_card_type IN ('defi','rare','evenement') " +
-        "GROUP BY LOWER(bot_card_type)"
-    );
-    totalRows.forEach((row) => {
-      if (row?.type && totals[row.type] !== undefined) totals[row.type] = Number(row.total) || 0;
-    });
+async function emitStubStravaEvent(event) {
+  stravaStub.lastEventTime = Math.max(Math.floor(Date.now() / 1000), stravaStub.lastEventTime + 1);
+  const body = { ...event, event_time: stravaStub.lastEventTime, subscription_id: stravaStub.subscription?.id || null };
+  await enqueueStravaEvent(body);
+  await processStravaEvents();
+  return body;
+}
 
-    const [countRows] = await pool.query(
-      "SELECT LOWER(type) AS type, COUNT(DISTINCT bot_id) AS total " +
-        "FROM user_card_results WHERE user_id = ? AND type IN ('defi','rare','evenement') " +
-        "GROUP BY LOWER(type)",
-      [userId]
-    );
-    countRows.forEach((row) => {
-      if (row?.type && counts[row.type] !== undefined) counts[row.type] = Number(row.total) || 0;
-    });
+function buildStubActivity(input, base = {}) {
+  const activity = { ...base };
+  for (const key of ["name", "type", "sport_type", "distance", "moving_time", "elapsed_time", "total_elevation_gain", "average_heartrate", "trainer", "start_date_local"]) {
+    if (typeof input?.[key] !== "undefined") activity[key] = input[key];
+  }
+  activity.type = activity.type || "Run";
+  activity.sport_type = activity.sport_type || activity.type;
+  activity.start_date_local = activity.start_date_local || formatLocalDateTime(new Date()).replace(" ", "T") + "Z";
+  activity.start_date = new Date(activity.start_date_local).toISOString();
+  return activity;
+}
 
-    const [userCountRows] = await pool.query(
-      "SELECT COUNT(DISTINCT target_user_id) AS total FROM user_player_card_results WHERE user_id = ? AND target_user_id <> user_id",
-      [userId]
-    );
-    const userCount = Number(userCountRows?.[0]?.total) || 0;
+api.post("/admin/strava/stub/activities", requireAuth, requireAdmin, requireStravaStub, async (req, res) => {
+  try {
+    const athleteId = Number(req.body?.athlete_id);
+    if (!Number.isInteger(athleteId) || athleteId <= 0) return res.status(400).json({ error: "athlete_id invalide" });
+    const id = String(stravaStub.nextActivityId++);
+    const activity = { id: Number(id), athlete: { id: athleteId }, ...buildStubActivity(req.body) };
+    stravaStub.activities.set(id, activity);
+    const event = await emitStubStravaEvent({ object_type: "activity", object_id: activity.id, aspect_type: "create", owner_id: athleteId });
+    res.status(201).json({ activity, event });
+  } catch (e) {
+    console.error("POST /admin/strava/stub/activities error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const [userTotalRows] = await pool.query(
-      "SELECT COUNT(*) AS total FROM users WHERE is_bot = 0 AND id <> ?",
-      [userId]
-    );
-    const userTotal = Number(userTotalRows?.[0]?.total) || 0;
+api.put("/admin/strava/stub/activities/:id", requireAuth, requireAdmin, requireStravaStub, async (req, res) => {
+  try {
+    const existing = stravaStub.activities.get(String(req.params.id));
+    if (!existing) return res.status(404).json({ error: "not found" });
+    const activity = { id: existing.id, athlete: existing.athlete, ...buildStubActivity(req.body, existing) };
+    stravaStub.activities.set(String(existing.id), activity);
+    const event = await emitStubStravaEvent({
+      object_type: "activity",
+      object_id: activity.id,
+      aspect_type: "update",
+      owner_id: activity.athlete.id,
+      updates: req.body || {},
+    });
+    res.json({ activity, event });
+  } catch (e) {
+    console.error("PUT /admin/strava/stub/activities/:id error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    res.json({
-      defi: counts.defi,
-      rare: counts.rare,
-      evenement: counts.evenement,
-      user: userCount,
-      userTotal: userTotal,
-      defiTotal: totals.defi,
-      rareTotal: totals.rare,
-      evenementTotal: totals.evenement,
+api.delete("/admin/strava/stub/activities/:id", requireAuth, requireAdmin, requireStravaStub, async (req, res) => {
+  try {
+    const existing = stravaStub.activities.get(String(req.params.id));
+    if (!existing) return res.status(404).json({ error: "not found" });
+    stravaStub.activities.delete(String(existing.id));
+    const event = await emitStubStravaEvent({
+      object_type: "activity",
+      object_id: existing.id,
+      aspect_type: "delete",
+      owner_id: existing.athlete.id,
     });
+    res.json({ event });
   } catch (e) {
-    console.error("GET /users/:id/card-results-counts error:", e);
+    console.error("DELETE /admin/strava/stub/activities/:id error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+api.post("/admin/strava/stub/deauthorize", requireAuth, requireAdmin, requireStravaStub, async (req, res) => {
+  try {
+    const athleteId = Number(req.body?.athlete_id);
+    if (!Number.isInteger(athleteId) || athleteId <= 0) return res.status(400).json({ error: "athlete_id invalide" });
+    revokeStubStravaTokens(athleteId);
+    const event = await emitStubStravaEvent({
+      object_type: "athlete",
+      object_id: athleteId,
+      aspect_type: "update",
+      owner_id: athleteId,
+      updates: { authorized: "false" },
+    });
+    res.json({ event });
+  } catch (e) {
+    console.error("POST /admin/strava/stub/deauthorize error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Creation pour user courant
-api.post("/me/sessions", requireAuth, async (req, res) => {
-  try {
-    const { distance, date, id, type } = req.body || {};
+/* =========================
+   Admin: bots (cartes)
+   - un bot est un user is_bot = 1; "retirer" = bot_retired_at (plus tire ni attribue, cartes gardees)
+   ========================= */
+const BOT_CARD_TYPES = ["defi", "objet", "evenement", "rare"];
+const BOT_SELECT =
+  "SELECT id, name, description, avg_distance_m, card_image, bot_color, bot_border_color, bot_card_type, " +
+  "DATE_FORMAT(bot_event_date, '%Y-%m-%d') AS bot_event_date, bot_drop_rate, bot_target_distance_m, bot_season_int, " +
+  "bot_object_repeat, DATE_FORMAT(bot_retired_at, '%Y-%m-%d %H:%i:%s') AS bot_retired_at, " +
+  "DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at FROM users WHERE is_bot = 1";
+const BOT_FIELDS = [
+  "name",
+  "description",
+  "avg_distance_m",
+  "card_image",
+  "bot_color",
+  "bot_border_color",
+  "bot_card_type",
+  "bot_event_date",
+  "bot_drop_rate",
+  "bot_target_distance_m",
+  "bot_season_int",
+  "bot_object_repeat",
+];
+
+function mapBotRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || null,
+    avg_distance_m: row.avg_distance_m ?? null,
+    card_image: row.card_image || null,
+    bot_color: row.bot_color || null,
+    bot_border_color: row.bot_border_color || null,
+    bot_card_type: row.bot_card_type || null,
+    bot_event_date: row.bot_event_date || null,
+    bot_drop_rate: row.bot_drop_rate ?? null,
+    bot_target_distance_m: row.bot_target_distance_m ?? null,
+    bot_season_int: row.bot_season_int ?? null,
+    bot_object_repeat: row.bot_object_repeat || "none",
+    retired: !!row.bot_retired_at,
+    retired_at: row.bot_retired_at || null,
+    created_at: row.created_at,
+  };
+}
+
+function optionalNumber(value) {
+  if (value === null || typeof value === "undefined" || value === "") return null;
+  return Number(value);
+}
 
-    const t = normalizeType(type);
+// Valide le bot complet (existant + modifications) => { values } ou { error }
+function validateBotInput(input, existing = {}) {
+  const v = {};
+  for (const field of BOT_FIELDS) {
+    v[field] = Object.prototype.hasOwnProperty.call(input || {}, field) ? input[field] : existing[field] ?? null;
+  }
 
-    if (!date) return res.status(400).json({ error: "date requise" });
-    if (typeof distance === "undefined" || distance === null || distance === "") {
-      return res.status(400).json({ error: "distance requise" });
-    }
+  v.name = String(v.name || "").trim();
+  if (!v.name || v.name.length > 100) return { error: "name requis (100 caracteres max)" };
+  v.description = v.description ? String(v.description).slice(0, 2000) : null;
+  v.card_image = v.card_image ? String(v.card_image).slice(0, 255) : null;
+  for (const field of ["bot_color", "bot_border_color"]) {
+    if (v[field] && !/^#[0-9a-fA-F]{6}$/.test(String(v[field]))) return { error: `${field} invalide (#RRGGBB)` };
+    v[field] = v[field] ? String(v[field]) : null;
+  }
 
-    const distNum = validateDistance(distance);
-    if (!distNum) return res.status(400).json({ error: "distance invalide" });
+  if (!BOT_CARD_TYPES.includes(v.bot_card_type)) {
+    return { error: `bot_card_type invalide (${BOT_CARD_TYPES.join("|")})` };
+  }
+  const type = v.bot_card_type;
+
+  v.avg_distance_m = optionalNumber(v.avg_distance_m);
+  v.bot_target_distance_m = optionalNumber(v.bot_target_distance_m);
+  v.bot_drop_rate = optionalNumber(v.bot_drop_rate);
+  v.bot_season_int = optionalNumber(v.bot_season_int);
+  if (v.avg_distance_m !== null && (!Number.isFinite(v.avg_distance_m) || v.avg_distance_m <= 0)) {
+    return { error: "avg_distance_m invalide" };
+  }
+  if (v.bot_target_distance_m !== null && (!Number.isFinite(v.bot_target_distance_m) || v.bot_target_distance_m <= 0)) {
+    return { error: "bot_target_distance_m invalide" };
+  }
+  if (v.bot_drop_rate !== null && (!Number.isFinite(v.bot_drop_rate) || v.bot_drop_rate < 0 || v.bot_drop_rate > 999)) {
+    return { error: "bot_drop_rate invalide (0-999)" };
+  }
+  if (v.bot_season_int !== null && (!Number.isInteger(v.bot_season_int) || v.bot_season_int < 0)) {
+    return { error: "bot_season_int invalide" };
+  }
 
-    if (!isValidType(t)) {
-      return res.status(400).json({ error: "type invalide (swim|run)" });
+  // Regles par type de carte (memes prerequis que bot-challenges-daily.js / handleObjectCards)
+  if (type === "evenement") {
+    if (!isValidDateString(v.bot_event_date)) return { error: "bot_event_date requis pour un evenement (YYYY-MM-DD)" };
+    if (v.bot_target_distance_m === null) return { error: "bot_target_distance_m requis pour un evenement" };
+  } else {
+    v.bot_event_date = null;
+  }
+  if ((type === "defi" || type === "rare") && v.avg_distance_m === null) {
+    return { error: "avg_distance_m requis pour un defi ou une carte rare" };
+  }
+  if (type === "objet") {
+    if (v.bot_target_distance_m === null) return { error: "bot_target_distance_m requis pour un objet" };
+    if (v.bot_drop_rate !== null && v.bot_drop_rate > 1) return { error: "bot_drop_rate d'un objet: probabilite entre 0 et 1" };
+    v.bot_object_repeat = v.bot_object_repeat || "none";
+    if (!OBJECT_REPEAT_MODES.includes(v.bot_object_repeat)) {
+      return { error: `bot_object_repeat invalide (${OBJECT_REPEAT_MODES.join("|")})` };
     }
+  } else {
+    v.bot_object_repeat = "none";
+  }
+  return { values: v };
+}
 
-    const newId = id || uuidv4();
+async function getBotById(id) {
+  const [rows] = await pool.query(`${BOT_SELECT} AND id = ? LIMIT 1`, [id]);
+  return rows?.[0] || null;
+}
 
-    await pool.query(
-      "INSERT INTO sessions (id, user_id, date, distance, type) VALUES (?, ?, ?, ?, ?)",
-      [newId, req.user.id, date, distNum, t]
-    );
+// Estimation Monte-Carlo du tirage de bot-challenges-daily.js pour une date
+const DROP_PREVIEW_RUNS = 1000;
 
-    const challengeCompleted = await handleChallengeCompletion({
-      userId: req.user.id,
-      sessionId: newId,
-      sessionDate: date,
-      distance: distNum,
-    });
-    await handleObjectCards({
-      userId: req.user.id,
-      sessionId: newId,
-      sessionDate: date,
-      distance: distNum,
-    });
+function botChallengeWeight(bot, activeSeason) {
+  const base = Number(bot.bot_drop_rate) || 1;
+  const seasonBoost =
+    activeSeason !== null && activeSeason !== undefined && String(bot.bot_season_int) === String(activeSeason) ? 2.2 : 1;
+  const rarePenalty = bot.bot_card_type === "rare" ? 0.5 : 1;
+  return base * seasonBoost * rarePenalty;
+}
 
-    res.status(201).json({
-      id: newId,
-      user_id: req.user.id,
-      date,
-      distance: distNum,
-      type: t,
-      challenge_completed: !!challengeCompleted,
-      challenge: challengeCompleted
-        ? {
-            id: challengeCompleted.id,
-            bot_id: challengeCompleted.bot_id,
-            bot_name: challengeCompleted.bot_name || null,
-            type: challengeCompleted.type,
-            target_distance_m: challengeCompleted.target_distance_m,
-            due_date: challengeCompleted.due_date,
-          }
-        : null,
-    });
-  } catch (e) {
-    console.error("POST /me/sessions error:", e);
-    res.status(500).json({ error: e.message });
+async function computeBotDropPreview(dateStr) {
+  const seasonNumber = await getSeasonNumberForDate(dateStr);
+  let sql = `${BOT_SELECT} AND bot_retired_at IS NULL`;
+  const params = [];
+  if (seasonNumber !== null) {
+    sql += " AND (bot_season_int IS NULL OR bot_season_int <= ?)";
+    params.push(seasonNumber);
+  } else {
+    sql += " AND bot_season_int IS NULL";
   }
-});
-
-// Update pour user courant
-api.put("/me/sessions/:id", requireAuth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { distance, date, type } = req.body || {};
+  const [bots] = await pool.query(sql, params);
 
-    if (typeof distance === "undefined" && !date && typeof type === "undefined") {
-      return res.status(400).json({ error: "aucune donnée à mettre à jour" });
-    }
+  const [slotRows] = await pool.query(
+    "SELECT COUNT(*) AS total FROM users u WHERE u.is_bot = 0 AND NOT EXISTS (" +
+      "  SELECT 1 FROM user_challenges c WHERE c.user_id = u.id AND c.status = 'active' AND c.due_date >= ? AND c.start_date < ?" +
+      ")",
+    [dateStr, dateStr]
+  );
+  const slots = Number(slotRows?.[0]?.total) || 0;
 
-    const fields = [];
-    const params = [];
+  const eventBots = bots.filter(
+    (b) => b.bot_card_type === "evenement" && b.bot_event_date === dateStr && Number(b.bot_target_distance_m) > 0
+  );
+  const challengeBots = bots.filter(
+    (b) => (b.bot_card_type === "defi" || b.bot_card_type === "rare") && Number(b.avg_distance_m) > 0
+  );
 
-    if (date) {
-      fields.push("date = ?");
-      params.push(date);
+  const preview = new Map();
+  if (eventBots.length) {
+    // Jour d'evenement: un seul bot evenement tire pour tous les joueurs, pas de defi
+    const total = eventBots.reduce((sum, b) => sum + (Number(b.bot_drop_rate) || 1), 0);
+    for (const b of eventBots) {
+      const share = (Number(b.bot_drop_rate) || 1) / total;
+      preview.set(b.id, { weight: Number(b.bot_drop_rate) || 1, share, daily_probability: share });
     }
-
-    if (typeof distance !== "undefined") {
-      const distNum = validateDistance(distance);
-      if (!distNum) return res.status(400).json({ error: "distance invalide" });
-      fields.push("distance = ?");
-      params.push(distNum);
+  } else if (challengeBots.length) {
+    const weights = challengeBots.map((b) => Math.max(0, botChallengeWeight(b, seasonNumber)));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const hits = new Array(challengeBots.length).fill(0);
+    // Un bot ne defie qu'un joueur par jour: tirage sans remise sur les slots libres
+    for (let run = 0; run < DROP_PREVIEW_RUNS; run++) {
+      const remaining = weights.map((w, i) => ({ w, i }));
+      for (let slot = 0; slot < slots && remaining.length; slot++) {
+        const total = remaining.reduce((sum, item) => sum + item.w, 0);
+        if (total <= 0) break;
+        let roll = Math.random() * total;
+        let idx = remaining.findIndex((item) => (roll -= item.w) <= 0);
+        if (idx < 0) idx = remaining.length - 1;
+        hits[remaining[idx].i] += 1;
+        remaining.splice(idx, 1);
+      }
     }
+    challengeBots.forEach((b, i) => {
+      preview.set(b.id, {
+        weight: weights[i],
+        share: totalWeight > 0 ? weights[i] / totalWeight : 0,
+        daily_probability: hits[i] / DROP_PREVIEW_RUNS,
+      });
+    });
+  }
 
-    if (typeof type !== "undefined") {
-      const t = normalizeType(type);
-      if (!isValidType(t)) return res.status(400).json({ error: "type invalide (swim|run)" });
-      fields.push("type = ?");
-      params.push(t);
+  return {
+    date: dateStr,
+    season_number: seasonNumber,
+    event_day: eventBots.length > 0,
+    open_slots: slots,
+    bots: bots
+      .map((b) => {
+        const p = preview.get(b.id);
+        return {
+          id: b.id,
+          name: b.name,
+          bot_card_type: b.bot_card_type,
+          bot_season_int: b.bot_season_int ?? null,
+          weight: p ? Number(p.weight.toFixed(3)) : 0,
+          share: p ? Number(p.share.toFixed(4)) : 0,
+          daily_probability: p ? Number(p.daily_probability.toFixed(4)) : 0,
+          // Objets: probabilite de drop par session qualifiante
+          session_drop_probability:
+            b.bot_card_type === "objet" ? (b.bot_drop_rate === null ? 1 : Math.min(1, Number(b.bot_drop_rate))) : null,
+        };
+      })
+      .sort((a, b) => b.daily_probability - a.daily_probability || a.name.localeCompare(b.name)),
+  };
+}
+
+api.get("/admin/bots", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const includeRetired = String(req.query?.include_retired || "") === "1";
+    const params = [];
+    let sql = BOT_SELECT;
+    if (!includeRetired) sql += " AND bot_retired_at IS NULL";
+    if (req.query?.type) {
+      if (!BOT_CARD_TYPES.includes(req.query.type)) return res.status(400).json({ error: "type invalide" });
+      sql += " AND bot_card_type = ?";
+      params.push(req.query.type);
     }
+    sql += " ORDER BY bot_card_type ASC, name ASC";
+    const [rows] = await pool.query(sql, params);
+    res.json((rows || []).map(mapBotRow));
+  } catch (e) {
+    console.error("GET /admin/bots error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    params.push(id, req.user.id);
+api.get("/admin/bots/drop-preview", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const date = req.query?.date || getLocalDateString();
+    if (!isValidDateString(date)) return res.status(400).json({ error: "date invalide (YYYY-MM-DD)" });
+    res.json(await computeBotDropPreview(date));
+  } catch (e) {
+    console.error("GET /admin/bots/drop-preview error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const [result] = await pool.query(
-      `UPDATE sessions SET ${fields.join(", ")} WHERE id = ? AND user_id = ?`,
-      params
-    );
+api.post("/admin/bots", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { values, error } = validateBotInput(req.body);
+    if (error) return res.status(400).json({ error });
 
-    if (result.affectedRows === 0) return res.status(404).json({ error: "not found" });
+    const id = uuidv4();
+    // Compte technique: email interne, mot de passe aleatoire (pas de login possible en pratique)
+    const email = `bot-${id.slice(0, 8)}@bots.natrack.local`;
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(24).toString("hex"), 10);
+    await pool.query(
+      `INSERT INTO users (id, email, role, password_hash, is_bot, ${BOT_FIELDS.join(", ")}) ` +
+        `VALUES (?, ?, 'user', ?, 1, ${BOT_FIELDS.map(() => "?").join(", ")})`,
+      [id, email, passwordHash, ...BOT_FIELDS.map((f) => values[f])]
+    );
+    res.status(201).json(mapBotRow(await getBotById(id)));
+  } catch (e) {
+    console.error("POST /admin/bots error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    res.json({ id, date, distance, type });
+api.put("/admin/bots/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const existing = await getBotById(req.params.id);
+    if (!existing) return res.status(404).json({ error: "not found" });
+    const { values, error } = validateBotInput(req.body, existing);
+    if (error) return res.status(400).json({ error });
+
+    const fields = BOT_FIELDS.map((f) => `${f} = ?`);
+    const params = BOT_FIELDS.map((f) => values[f]);
+    if (typeof req.body?.retired !== "undefined") {
+      fields.push(req.body.retired ? "bot_retired_at = IFNULL(bot_retired_at, NOW())" : "bot_retired_at = NULL");
+    }
+    await pool.query(`UPDATE users SET ${fields.join(", ")} WHERE id = ? AND is_bot = 1`, [...params, existing.id]);
+    res.json(mapBotRow(await getBotById(existing.id)));
   } catch (e) {
-    console.error("PUT /me/sessions/:id error:", e);
+    console.error("PUT /admin/bots/:id error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Suppression pour user courant
-api.delete("/me/sessions/:id", requireAuth, async (req, res) => {
+// Retrait (soft): le bot n'est plus tire ni attribue, les cartes deja gagnees et les defis en cours restent
+api.delete("/admin/bots/:id", requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const [result] = await pool.query("DELETE FROM sessions WHERE id = ? AND user_id = ?", [id, req.user.id]);
+    const [result] = await pool.query(
+      "UPDATE users SET bot_retired_at = NOW() WHERE id = ? AND is_bot = 1 AND bot_retired_at IS NULL",
+      [req.params.id]
+    );
     if (result.affectedRows === 0) return res.status(404).json({ error: "not found" });
     res.status(204).end();
   } catch (e) {
-    console.error("DELETE /me/sessions/:id error:", e);
+    console.error("DELETE /admin/bots/:id error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Admin: liste des users
-
-// Stats cartes (admin)
-api.get("/admin/challenge-stats", requireAuth, requireAdmin, async (req, res) => {
-  try {
-    const today = getLocalDateString();
-    let from = isValidDateString(req.query?.from) ? req.query.from : null;
-    let to = isValidDateString(req.query?.to) ? req.query.to : null;
+/* =========================
+   Admin saisons
+   - seules les saisons a venir (start_date > aujourd'hui) sont modifiables
+   - l'ordre des numeros doit suivre l'ordre des dates (pas de chevauchement)
+   ========================= */
+async function getSeasonRow(seasonNumber) {
+  const [rows] = await pool.query(
+    "SELECT season_number, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons WHERE season_number = ?",
+    [seasonNumber]
+  );
+  return rows?.[0] || null;
+}
 
-    if (!from) {
-      const [season0Rows] = await pool.query(
-        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons WHERE season_number = 0 LIMIT 1"
-      );
-      const [firstRows] = await pool.query(
-        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons ORDER BY start_date ASC LIMIT 1"
-      );
-      from = season0Rows?.[0]?.start_date || firstRows?.[0]?.start_date || "2026-01-31";
-    }
-    if (!to) to = today;
-    if (from > to) {
-      const tmp = from;
-      from = to;
-      to = tmp;
-    }
+// Renvoie un message d'erreur (409) si start_date casse l'ordre des saisons
+async function findSeasonOverlap(seasonNumber, startDate) {
+  const [rows] = await pool.query(
+    "SELECT season_number, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons " +
+      "WHERE season_number <> ? AND ((season_number < ? AND start_date >= ?) OR (season_number > ? AND start_date <= ?)) " +
+      "ORDER BY start_date ASC LIMIT 1",
+    [seasonNumber, seasonNumber, startDate, seasonNumber, startDate]
+  );
+  const conflict = rows?.[0];
+  if (!conflict) return null;
+  return `chevauchement avec la saison ${conflict.season_number} (debut ${conflict.start_date})`;
+}
 
-    if (String(req.query?.rebuild || "") === "1") {
-      await rebuildChallengeStats(pool, from, to);
-    }
+function validateFutureStartDate(value) {
+  if (!isValidDateString(value)) return "start_date invalide (YYYY-MM-DD)";
+  if (value <= getLocalDateString()) return "start_date doit etre dans le futur";
+  return null;
+}
 
+api.get("/admin/seasons", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const today = getLocalDateString();
     const [rows] = await pool.query(
-      "SELECT DATE_FORMAT(stat_date, '%Y-%m-%d') AS stat_date, season_number, total_count, defi_count, rare_count, event_count, " +
-        "season_current_count, season_other_count, season_none_count, event_season_current_count, event_season_other_count, event_season_none_count, " +
-        "rare_season_current_count, rare_season_other_count, rare_season_none_count " +
-        "FROM daily_challenge_stats WHERE stat_date BETWEEN ? AND ? ORDER BY stat_date ASC",
-      [from, to]
+      "SELECT s.season_number, DATE_FORMAT(s.start_date, '%Y-%m-%d') AS start_date, " +
+        "DATE_FORMAT(r.processed_at, '%Y-%m-%d %H:%i:%s') AS rollover_at, " +
+        "r.standings_count, r.badges_count, r.notified_count, IFNULL(b.bots, 0) AS bots " +
+        "FROM seasons s LEFT JOIN season_rollovers r ON r.season_number = s.season_number " +
+        "LEFT JOIN (SELECT bot_season_int, COUNT(*) AS bots FROM users WHERE is_bot = 1 AND bot_retired_at IS NULL " +
+        "GROUP BY bot_season_int) b ON b.bot_season_int = s.season_number " +
+        "ORDER BY s.start_date ASC, s.season_number ASC"
     );
-
-    const [activeRows] = await pool.query(
-      "SELECT season_number FROM seasons WHERE start_date <= ? ORDER BY start_date DESC, season_number DESC LIMIT 1",
-      [today]
+    const active = await getActiveSeasonInfo();
+    res.json(
+      (rows || []).map((row) => ({
+        ...row,
+        bots: Number(row.bots),
+        status:
+          row.start_date > today ? "upcoming" : row.season_number === active.season_number ? "active" : "past",
+      }))
     );
-    const activeSeasonNumber = activeRows?.[0]?.season_number ?? null;
-
-    res.json({ from, to, rows: rows || [], activeSeasonNumber });
   } catch (e) {
-    console.error("GET /admin/challenge-stats error:", e);
+    console.error("GET /admin/seasons error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Stats cartes par joueur (admin)
-api.get("/admin/challenge-stats/users", requireAuth, requireAdmin, async (req, res) => {
+api.post("/admin/seasons", requireAuth, requireAdmin, async (req, res) => {
   try {
-    const today = getLocalDateString();
-    let from = isValidDateString(req.query?.from) ? req.query.from : null;
-    let to = isValidDateString(req.query?.to) ? req.query.to : null;
-
-    if (!from) {
-      const [season0Rows] = await pool.query(
-        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons WHERE season_number = 0 LIMIT 1"
-      );
-      const [firstRows] = await pool.query(
-        "SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons ORDER BY start_date ASC LIMIT 1"
-      );
-      from = season0Rows?.[0]?.start_date || firstRows?.[0]?.start_date || "2026-01-31";
+    const startDate = req.body?.start_date;
+    const dateError = validateFutureStartDate(startDate);
+    if (dateError) return res.status(400).json({ error: dateError });
+
+    let seasonNumber = req.body?.season_number;
+    if (seasonNumber === undefined || seasonNumber === null || seasonNumber === "") {
+      const [maxRows] = await pool.query("SELECT MAX(season_number) AS max_number FROM seasons");
+      seasonNumber = maxRows?.[0]?.max_number === null ? 1 : Number(maxRows[0].max_number) + 1;
     }
-    if (!to) to = today;
-    if (from > to) {
-      const tmp = from;
-      from = to;
-      to = tmp;
+    seasonNumber = Number(seasonNumber);
+    if (!Number.isInteger(seasonNumber) || seasonNumber < 0) {
+      return res.status(400).json({ error: "season_number invalide" });
+    }
+    if (await getSeasonRow(seasonNumber)) return res.status(409).json({ error: "season_number deja utilise" });
+    const overlap = await findSeasonOverlap(seasonNumber, startDate);
+    if (overlap) return res.status(409).json({ error: overlap });
+
+    try {
+      await pool.query("INSERT INTO seasons (season_number, start_date) VALUES (?, ?)", [seasonNumber, startDate]);
+    } catch (e) {
+      if (e?.code === "ER_DUP_ENTRY") return res.status(409).json({ error: "saison deja existante a cette date" });
+      throw e;
     }
+    res.status(201).json(await getSeasonRow(seasonNumber));
+  } catch (e) {
+    console.error("POST /admin/seasons error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const [activeRows] = await pool.query(
-      "SELECT season_number FROM seasons WHERE start_date <= ? ORDER BY start_date DESC, season_number DESC LIMIT 1",
-      [today]
-    );
-    const activeSeasonNumber = activeRows?.[0]?.season_number ?? null;
+// Replanifie une saison a venir
+api.put("/admin/seasons/:number", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const season = await getSeasonRow(Number(req.params.number));
+    if (!season) return res.status(404).json({ error: "not found" });
+    if (season.start_date <= getLocalDateString()) {
+      return res.status(409).json({ error: "saison deja commencee" });
+    }
+    const startDate = req.body?.start_date;
+    const dateError = validateFutureStartDate(startDate);
+    if (dateError) return res.status(400).json({ error: dateError });
+    const overlap = await findSeasonOverlap(season.season_number, startDate);
+    if (overlap) return res.status(409).json({ error: overlap });
+
+    try {
+      const [result] = await pool.query(
+        "UPDATE seasons SET start_date = ? WHERE season_number = ? AND start_date > CURDATE()",
+        [startDate, season.season_number]
+      );
+      if (result.affectedRows === 0) return res.status(409).json({ error: "saison deja commencee" });
+    } catch (e) {
+      if (e?.code === "ER_DUP_ENTRY") return res.status(409).json({ error: "saison deja existante a cette date" });
+      throw e;
+    }
+    res.json(await getSeasonRow(season.season_number));
+  } catch (e) {
+    console.error("PUT /admin/seasons/:number error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const [rows] = await pool.query(
-      "SELECT DATE_FORMAT(c.start_date, '%Y-%m-%d') AS stat_date, " +
-        "c.user_id, u.name AS user_name, c.bot_id, b.name AS bot_name, LOWER(c.type) AS type, b.bot_season_int, c.target_distance_m " +
-        "FROM user_challenges c " +
-        "LEFT JOIN users u ON u.id = c.user_id " +
-        "LEFT JOIN users b ON b.id = c.bot_id " +
-        "WHERE c.type IN ('defi','rare','evenement') " +
-        "AND c.start_date BETWEEN ? AND ? " +
-        "ORDER BY stat_date ASC, u.name ASC, b.name ASC",
-      [from, to]
+// Supprime une saison a venir (refuse si des bots y sont rattaches)
+api.delete("/admin/seasons/:number", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const season = await getSeasonRow(Number(req.params.number));
+    if (!season) return res.status(404).json({ error: "not found" });
+    if (season.start_date <= getLocalDateString()) {
+      return res.status(409).json({ error: "saison deja commencee" });
+    }
+    const [botRows] = await pool.query(
+      "SELECT COUNT(*) AS total FROM users WHERE is_bot = 1 AND bot_retired_at IS NULL AND bot_season_int = ?",
+      [season.season_number]
     );
+    const bots = Number(botRows?.[0]?.total || 0);
+    if (bots > 0) return res.status(409).json({ error: `saison utilisee par ${bots} bot(s)` });
 
-    const mapped = (rows || []).map((row) => {
-      const seasonInt = row?.bot_season_int;
-      let seasonBucket = "none";
-      if (seasonInt !== null && seasonInt !== undefined) {
-        seasonBucket =
-          activeSeasonNumber !== null && activeSeasonNumber !== undefined && String(seasonInt) === String(activeSeasonNumber)
-            ? "current"
-            : "other";
-      }
-      return { ...row, season_bucket: seasonBucket };
-    });
+    const [result] = await pool.query("DELETE FROM seasons WHERE season_number = ? AND start_date > CURDATE()", [
+      season.season_number,
+    ]);
+    if (result.affectedRows === 0) return res.status(409).json({ error: "saison deja commencee" });
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /admin/seasons/:number error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    res.json({ from, to, rows: mapped, activeSeasonNumber });
+// Force la verification de bascule (normalement faite toutes les heures)
+api.post("/admin/seasons/rollover", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const rollovers = await runSeasonRollover();
+    res.json({ processed: rollovers.length, rollovers });
   } catch (e) {
-    console.error("GET /admin/challenge-stats/users error:", e);
+    console.error("POST /admin/seasons/rollover error:", e);
     res.status(500).json({ error: e.message });
   }
 });
@@ -1816,6 +5995,7 @@ api.get("/users/:userId/sessions", requireAuth, requireAdmin, async (req, res) =
 
     let sql =
       "SELECT s.id, DATE_FORMAT(s.date, '%Y-%m-%d') AS date, DATE_FORMAT(s.created_at, '%Y-%m-%d %H:%i:%s') AS created_at, s.distance, s.type, s.user_id, s.strava_activity_id, " +
+      "DATE_FORMAT(s.start_datetime, '%Y-%m-%d %H:%i:%s') AS start_datetime, s.duration_s, s.elevation_gain_m, s.avg_hr, s.perceived_effort, s.notes, " +
       "u.name AS user_name, u.is_bot AS is_bot, " +
       "r.id AS challenge_id, r.type AS challenge_type, r.distance_m AS challenge_distance_m, " +
       "r.target_distance_m AS challenge_target_distance_m, r.bot_id AS challenge_bot_id, " +
@@ -1863,7 +6043,7 @@ api.get("/users/:userId/sessions", requireAuth, requireAdmin, async (req, res) =
 });
 
 // Admin: creation pour un user
-api.post("/users/:userId/sessions", requireAuth, requireAdmin, async (req, res) => {
+api.post("/users/:userId/sessions", requireAuth, requireAdmin, applyIdempotencyKey, async (req, res) => {
   try {
     const { userId } = req.params;
     const { distance, date, id, type } = req.body || {};
@@ -1882,49 +6062,16 @@ api.post("/users/:userId/sessions", requireAuth, requireAdmin, async (req, res)
       return res.status(400).json({ error: "type invalide (swim|run)" });
     }
 
-    const newId = id || uuidv4();
+    const { extras, error: extrasError } = validateSessionExtras(req.body);
+    if (extrasError) return res.status(400).json({ error: extrasError });
+
     const [userRows] = await pool.query("SELECT is_bot FROM users WHERE id = ? LIMIT 1", [userId]);
     const isBotUser = !!userRows?.[0]?.is_bot;
 
-    await pool.query(
-      "INSERT INTO sessions (id, user_id, date, distance, type) VALUES (?, ?, ?, ?, ?)",
-      [newId, userId, date, distNum, t]
-    );
-
-    let challengeCompleted = null;
-    if (!isBotUser) {
-      challengeCompleted = await handleChallengeCompletion({
-        userId,
-        sessionId: newId,
-        sessionDate: date,
-        distance: distNum,
-      });
-      await handleObjectCards({
-        userId,
-        sessionId: newId,
-        sessionDate: date,
-        distance: distNum,
-      });
-    }
+    const session = { id, userId, date, distance: distNum, type: t, extras };
+    const created = await createSessionWithRewards({ ...session, evaluateRewards: !isBotUser });
 
-    res.status(201).json({
-      id: newId,
-      user_id: userId,
-      date,
-      distance: distNum,
-      type: t,
-      challenge_completed: !!challengeCompleted,
-      challenge: challengeCompleted
-        ? {
-            id: challengeCompleted.id,
-            bot_id: challengeCompleted.bot_id,
-            bot_name: challengeCompleted.bot_name || null,
-            type: challengeCompleted.type,
-            target_distance_m: challengeCompleted.target_distance_m,
-            due_date: challengeCompleted.due_date,
-          }
-        : null,
-    });
+    res.status(201).json(mapCreatedSession({ ...session, id: created.id }, created.challengeCompleted));
   } catch (e) {
     console.error("POST /users/:userId/sessions error:", e);
     res.status(500).json({ error: e.message });
@@ -1932,12 +6079,14 @@ api.post("/users/:userId/sessions", requireAuth, requireAdmin, async (req, res)
 });
 
 // Admin: update pour un user
-api.put("/users/:userId/sessions/:id", requireAuth, requireAdmin, async (req, res) => {
+api.put("/users/:userId/sessions/:id", requireAuth, requireAdmin, applyIdempotencyKey, async (req, res) => {
   try {
     const { userId, id } = req.params;
     const { distance, date, type } = req.body || {};
+    const { extras, error: extrasError } = validateSessionExtras(req.body);
+    if (extrasError) return res.status(400).json({ error: extrasError });
 
-    if (typeof distance === "undefined" && !date && typeof type === "undefined") {
+    if (typeof distance === "undefined" && !date && typeof type === "undefined" && !Object.keys(extras).length) {
       return res.status(400).json({ error: "aucune donnée à mettre à jour" });
     }
 
@@ -1963,16 +6112,29 @@ api.put("/users/:userId/sessions/:id", requireAuth, requireAdmin, async (req, re
       params.push(t);
     }
 
-    params.push(id, userId);
+    for (const [field, value] of Object.entries(extras)) {
+      fields.push(`${field} = ?`);
+      params.push(value);
+    }
 
-    const [result] = await pool.query(
-      `UPDATE sessions SET ${fields.join(", ")} WHERE id = ? AND user_id = ?`,
-      params
-    );
+    params.push(id, userId);
 
-    if (result.affectedRows === 0) return res.status(404).json({ error: "not found" });
+    // Modification + recalcul des recompenses dans la meme transaction (rollback des deux si erreur)
+    const rewardsChanged = date || typeof distance !== "undefined" || typeof type !== "undefined";
+    const updated = await withTransaction(async (conn) => {
+      const before = await getSessionDateForUser(id, userId, conn);
+      if (!before) return null;
+      const [result] = await conn.query(
+        `UPDATE sessions SET ${fields.join(", ")} WHERE id = ? AND user_id = ?`,
+        params
+      );
+      if (result.affectedRows === 0) return null;
+      return { rewards: rewardsChanged ? await refreshSessionRewards(userId, id, before, conn) : null };
+    });
+    if (!updated) return res.status(404).json({ error: "not found" });
+    const { rewards } = updated;
 
-    res.json({ id, user_id: userId, date, distance, type });
+    res.json({ id, user_id: userId, date, distance, type, ...extras, rewards });
   } catch (e) {
     console.error("PUT /users/:userId/sessions/:id error:", e);
     res.status(500).json({ error: e.message });
@@ -1980,11 +6142,18 @@ api.put("/users/:userId/sessions/:id", requireAuth, requireAdmin, async (req, re
 });
 
 // Admin: suppression pour un user
-api.delete("/users/:userId/sessions/:id", requireAuth, requireAdmin, async (req, res) => {
+api.delete("/users/:userId/sessions/:id", requireAuth, requireAdmin, applyIdempotencyKey, async (req, res) => {
   try {
     const { userId, id } = req.params;
-    const [result] = await pool.query("DELETE FROM sessions WHERE id = ? AND user_id = ?", [id, userId]);
-    if (result.affectedRows === 0) return res.status(404).json({ error: "not found" });
+    const deleted = await withTransaction(async (conn) => {
+      const before = await getSessionDateForUser(id, userId, conn);
+      if (!before) return false;
+      const [result] = await conn.query("DELETE FROM sessions WHERE id = ? AND user_id = ?", [id, userId]);
+      if (result.affectedRows === 0) return false;
+      await refreshSessionRewards(userId, id, before, conn);
+      return true;
+    });
+    if (!deleted) return res.status(404).json({ error: "not found" });
     res.status(204).end();
   } catch (e) {
     console.error("DELETE /users/:userId/sessions/:id error:", e);
@@ -2017,4 +6186,8 @@ app.use((err, req, res, _next) => {
    ========================= */
 app.listen(PORT, () => {
   console.log("Listening on", PORT);
+  resumeStravaBackfills().catch((e) => console.error("resumeStravaBackfills error:", e));
+  void startStravaEventWorker();
+  startSeasonRolloverWatcher();
+  startIdempotencyKeyPurge();
 });
@@ -201,7 +201,7 @@ async function main() {
       "SELECT id, name, avg_distance_m, bot_card_type, bot_season_int, " +
       "DATE_FORMAT(bot_event_date, '%Y-%m-%d') AS bot_event_date, " +
       "bot_drop_rate, bot_target_distance_m " +
-      "FROM users WHERE is_bot = 1";
+      "FROM users WHERE is_bot = 1 AND bot_retired_at IS NULL";
     const botsParams = [];
     if (activeSeason !== null && activeSeason !== undefined) {
       botsSql += " AND (bot_season_int IS NULL OR bot_season_int <= ?)";
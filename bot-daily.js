@@ -1,5 +1,7 @@
 // scripts/bot-daily.js
 // Create one "run" session per bot per day with +/-10% jitter.
+// Bots: active bots from the DB (managed via /admin/bots, avg_distance_m in meters).
+// A non-empty bots.json overrides the list (retired bots are still skipped).
 require("dotenv").config();
 
 const fs = require("fs");
@@ -29,15 +31,28 @@ function normalizeType(input) {
   return t === "swim" ? "swim" : "run";
 }
 
+function loadBotFile() {
+  if (!fs.existsSync(BOT_LIST_PATH)) return null;
+  const list = JSON.parse(fs.readFileSync(BOT_LIST_PATH, "utf-8"));
+  return Array.isArray(list) && list.length > 0 ? list : null;
+}
+
+async function loadBots(pool) {
+  const fileBots = loadBotFile();
+  if (fileBots) return fileBots;
+  const [rows] = await pool.query(
+    "SELECT id, name, avg_distance_m FROM users WHERE is_bot = 1 AND bot_retired_at IS NULL AND avg_distance_m > 0"
+  );
+  return (rows || []).map((row) => ({
+    id: row.id,
+    name: row.name,
+    distance_m: Number(row.avg_distance_m),
+    type: "run",
+  }));
+}
+
 async function main() {
   const today = getLocalDateString();
-  const listRaw = fs.readFileSync(BOT_LIST_PATH, "utf-8");
-  const bots = JSON.parse(listRaw);
-
-  if (!Array.isArray(bots) || bots.length === 0) {
-    console.log("No bots configured.");
-    return;
-  }
 
   const pool = mysql.createPool({
     host: process.env.DB_HOST || "localhost",
@@ -51,6 +66,12 @@ async function main() {
   });
 
   try {
+    const bots = await loadBots(pool);
+    if (!Array.isArray(bots) || bots.length === 0) {
+      console.log("No bots configured.");
+      return;
+    }
+
     for (const bot of bots) {
       const botId = bot.id;
       const botName = bot.name;
@@ -59,19 +80,22 @@ async function main() {
         continue;
       }
 
-      let userId = botId;
-      if (!userId && botName) {
-        const [rows] = await pool.query(
-          "SELECT id FROM users WHERE name = ? AND is_bot = 1 LIMIT 1",
-          [botName]
-        );
-        userId = rows?.[0]?.id || null;
-      }
-
-      if (!userId) {
+      const [rows] = await pool.query(
+        botId
+          ? "SELECT id, bot_retired_at FROM users WHERE id = ? AND is_bot = 1 LIMIT 1"
+          : "SELECT id, bot_retired_at FROM users WHERE name = ? AND is_bot = 1 LIMIT 1",
+        [botId || botName]
+      );
+      const botUser = rows?.[0];
+      if (!botUser) {
         console.log("Bot user not found:", botName || botId);
         continue;
       }
+      if (botUser.bot_retired_at) {
+        console.log("Skip retired bot:", botName || botId);
+        continue;
+      }
+      const userId = botUser.id;
 
       const type = normalizeType(bot.type);
       const [existing] = await pool.query(
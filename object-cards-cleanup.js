@@ -0,0 +1,101 @@
+// object-cards-cleanup.js
+// Fusionne les cartes objet en double (historique avant les regles d'attribution).
+// Chaque carte recoit son award_key selon bot_object_repeat (first / season:<n> / tier:<n>);
+// par user + bot + award_key, seule la plus ancienne est gardee.
+//   node object-cards-cleanup.js          -> simulation (rien n'est modifie)
+//   node object-cards-cleanup.js --apply  -> applique
+require("dotenv").config();
+
+const mysql = require("mysql2/promise");
+const { getObjectAwards } = require("./object-cards");
+
+const BATCH_SIZE = 500;
+
+function getSeasonNumber(seasons, dateStr) {
+  let current = null;
+  for (const season of seasons) {
+    if (season.start_date <= dateStr) current = season.season_number;
+  }
+  return current;
+}
+
+// Cle d'une carte historique: la plus haute carte meritee par sa distance (memes regles que l'API);
+// une carte sous la cible actuelle du bot compte comme le premier deblocage / premier palier
+function getAwardKey(row, seasons) {
+  const distance = Math.max(Number(row.distance_m) || 0, Number(row.bot_target_distance_m) || 0);
+  const awards = getObjectAwards(row, distance, getSeasonNumber(seasons, row.achieved_at));
+  return awards.length ? awards[awards.length - 1].awardKey : "first";
+}
+
+async function main() {
+  const apply = process.argv.includes("--apply");
+
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || "localhost",
+    port: Number(process.env.DB_PORT || 3306),
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 5,
+    enableKeepAlive: true,
+  });
+
+  try {
+    const [seasons] = await pool.query(
+      "SELECT season_number, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date FROM seasons ORDER BY start_date ASC"
+    );
+    // Les cartes deja cle (attribuees par l'API) passent en premier: elles sont toujours gardees
+    const [rows] = await pool.query(
+      "SELECT r.id, r.user_id, r.bot_id, r.distance_m, r.award_key, " +
+        "DATE_FORMAT(r.achieved_at, '%Y-%m-%d') AS achieved_at, b.bot_target_distance_m, b.bot_object_repeat " +
+        "FROM user_card_results r LEFT JOIN users b ON b.id = r.bot_id " +
+        "WHERE r.type = 'objet' ORDER BY r.award_key IS NULL ASC, r.achieved_at ASC, r.created_at ASC"
+    );
+
+    const seen = new Set();
+    const toDelete = [];
+    const toKey = [];
+    for (const row of rows || []) {
+      const awardKey = row.award_key || getAwardKey(row, seasons || []);
+      const id = `${row.user_id}|${row.bot_id}|${awardKey}`;
+      if (seen.has(id)) {
+        toDelete.push(row.id);
+        continue;
+      }
+      seen.add(id);
+      if (!row.award_key) toKey.push({ id: row.id, awardKey });
+    }
+
+    console.log(`${(rows || []).length} carte(s) objet, ${seen.size} gardee(s), ${toDelete.length} doublon(s)`);
+    if (!apply) {
+      console.log("Simulation: relancer avec --apply pour appliquer.");
+      return;
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      for (let i = 0; i < toDelete.length; i += BATCH_SIZE) {
+        await conn.query("DELETE FROM user_card_results WHERE id IN (?)", [toDelete.slice(i, i + BATCH_SIZE)]);
+      }
+      for (const row of toKey) {
+        await conn.query("UPDATE user_card_results SET award_key = ? WHERE id = ?", [row.awardKey, row.id]);
+      }
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback().catch(() => {});
+      throw e;
+    } finally {
+      conn.release();
+    }
+    console.log(`Supprime: ${toDelete.length}, cles posees: ${toKey.length}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("object-cards-cleanup error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+// object-cards.js
+// Regles d'attribution des cartes objet (colonne bot_object_repeat du bot), partagees par app.js
+// et object-cards-cleanup.js pour que les deux calculent les memes award_key.
+//   none   : une seule carte, au premier deblocage ("first")
+//   season : une carte par saison ("season:<n>", "season:none" hors saison)
+//   tier   : une carte par palier, palier n = n * bot_target_distance_m ("tier:<n>", n <= OBJECT_MAX_TIERS)
+const OBJECT_REPEAT_MODES = ["none", "season", "tier"];
+const OBJECT_MAX_TIERS = 100;
+
+// Palier atteint par une distance (0 sous la cible)
+function getObjectTier(distance, target) {
+  const t = Number(target);
+  const d = Number(distance);
+  if (!Number.isFinite(t) || t <= 0 || !Number.isFinite(d) || d < t) return 0;
+  return Math.min(Math.floor(d / t), OBJECT_MAX_TIERS);
+}
+
+// Cartes meritees par une distance: [{ awardKey, threshold }] du plus bas au plus haut palier
+// (en mode tier, tous les paliers atteints: une session de 30 km sur une cible de 10 km vaut tier:1, 2 et 3)
+function getObjectAwards(bot, distance, seasonNumber) {
+  const target = Number(bot.bot_target_distance_m);
+  const tier = getObjectTier(distance, target);
+  if (tier < 1) return [];
+  const mode = OBJECT_REPEAT_MODES.includes(bot.bot_object_repeat) ? bot.bot_object_repeat : "none";
+  if (mode === "season") return [{ awardKey: `season:${seasonNumber ?? "none"}`, threshold: target }];
+  if (mode === "tier") {
+    return Array.from({ length: tier }, (_, i) => ({ awardKey: `tier:${i + 1}`, threshold: (i + 1) * target }));
+  }
+  return [{ awardKey: "first", threshold: target }];
+}
+
+module.exports = { OBJECT_REPEAT_MODES, OBJECT_MAX_TIERS, getObjectTier, getObjectAwards };
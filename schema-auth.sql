@@ -0,0 +1,80 @@
+-- Auth: inscription, comptes, acces
+
+-- Codes d'invitation (inscription self-service)
+CREATE TABLE IF NOT EXISTS invite_codes (
+  id VARCHAR(36) PRIMARY KEY,
+  code VARCHAR(32) NOT NULL,
+  max_uses INT NOT NULL DEFAULT 1,
+  uses_count INT NOT NULL DEFAULT 0,
+  expires_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+  note VARCHAR(255) NULL,
+  created_by VARCHAR(36) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_invite_code (code)
+);
+
+-- Unicite des emails (necessaire pour l'inscription)
+ALTER TABLE users ADD UNIQUE KEY uniq_user_email (email);
+
+-- Version des tokens (incrementee a chaque changement de mot de passe)
+ALTER TABLE users ADD COLUMN token_version INT NOT NULL DEFAULT 0;
+
+-- Tokens de reinitialisation de mot de passe (stockes hashes, usage unique)
+CREATE TABLE IF NOT EXISTS password_resets (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_reset_token (token_hash),
+  INDEX idx_user (user_id)
+);
+
+-- Refresh tokens rotatifs (stockes hashes)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  family_id VARCHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  replaced_by VARCHAR(36) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_refresh_token (token_hash),
+  INDEX idx_user (user_id),
+  INDEX idx_family (family_id)
+);
+
+-- Cles API personnelles (header X-API-Key, stockees hashees)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes VARCHAR(255) NOT NULL,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_api_key (key_hash),
+  INDEX idx_user (user_id)
+);
+
+-- 2FA TOTP
+ALTER TABLE users
+  ADD COLUMN totp_secret VARCHAR(64) NULL,
+  ADD COLUMN totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN totp_last_step BIGINT NULL;
+
+-- Codes de secours 2FA (stockes hashes, usage unique)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_user_code (user_id, code_hash)
+);
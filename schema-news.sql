@@ -9,5 +9,9 @@ CREATE TABLE IF NOT EXISTS news_items (
   link_url VARCHAR(512) NULL,
   event_date DATE NOT NULL,
   show_event_date TINYINT(1) NOT NULL DEFAULT 1,
-  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+  status ENUM('draft','published') NOT NULL DEFAULT 'published',
+  published_at DATETIME NULL,
+  expires_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_news_publication (status, published_at, expires_at)
 );
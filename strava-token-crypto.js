@@ -0,0 +1,48 @@
+// strava-token-crypto.js
+// Chiffrement des tokens Strava (AES-256-GCM), partage par app.js et strava-tokens.js.
+//   STRAVA_TOKEN_KEYS="k1:<base64 32 octets>,k2:<base64 32 octets>"
+//   STRAVA_TOKEN_KEY_ID=k2 (cle d'ecriture, defaut: derniere de la liste)
+// Format stocke: base64(iv 12 octets | tag 16 octets | chiffre). token_key_id NULL = token en clair.
+const crypto = require("crypto");
+
+function parseTokenKeys(value) {
+  const keys = new Map();
+  for (const entry of String(value || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const idx = entry.indexOf(":");
+    const id = idx > 0 ? entry.slice(0, idx) : "";
+    const key = Buffer.from(entry.slice(idx + 1), "base64");
+    if (!id || key.length !== 32) throw new Error(`STRAVA_TOKEN_KEYS invalide (${id || entry.slice(0, 8)})`);
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+function createTokenCipher(keysValue, keyIdValue) {
+  const keys = parseTokenKeys(keysValue);
+  const activeKeyId = keyIdValue || [...keys.keys()].pop() || null;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`STRAVA_TOKEN_KEY_ID inconnu: ${activeKeyId}`);
+  }
+
+  function encrypt(plain, keyId = activeKeyId) {
+    if (!keyId || !plain) return plain;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", keys.get(keyId), iv);
+    const enc = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), enc]).toString("base64");
+  }
+
+  function decrypt(value, keyId) {
+    if (!keyId || !value) return value;
+    const key = keys.get(keyId);
+    if (!key) throw new Error(`strava_token_key_missing:${keyId}`);
+    const raw = Buffer.from(value, "base64");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+  }
+
+  return { keys, activeKeyId, encrypt, decrypt };
+}
+
+module.exports = { parseTokenKeys, createTokenCipher };
@@ -0,0 +1,65 @@
+// strava-tokens.js
+// Chiffre les tokens Strava en base (migrate) ou les re-chiffre avec la cle active (rotate).
+//   node strava-tokens.js migrate   -> lignes en clair (token_key_id NULL) => cle active
+//   node strava-tokens.js rotate    -> toutes les lignes dont token_key_id != cle active => cle active
+require("dotenv").config();
+
+const mysql = require("mysql2/promise");
+const { createTokenCipher } = require("./strava-token-crypto");
+
+const cipher = createTokenCipher(process.env.STRAVA_TOKEN_KEYS, process.env.STRAVA_TOKEN_KEY_ID);
+const activeKeyId = cipher.activeKeyId;
+
+async function main() {
+  const mode = process.argv[2];
+  if (mode !== "migrate" && mode !== "rotate") {
+    console.log("Usage: node strava-tokens.js migrate|rotate");
+    process.exitCode = 1;
+    return;
+  }
+  if (!activeKeyId) {
+    throw new Error("STRAVA_TOKEN_KEYS / STRAVA_TOKEN_KEY_ID requis");
+  }
+
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || "localhost",
+    port: Number(process.env.DB_PORT || 3306),
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 5,
+    enableKeepAlive: true,
+  });
+
+  try {
+    const where =
+      mode === "migrate" ? "token_key_id IS NULL" : "(token_key_id IS NULL OR token_key_id <> ?)";
+    const [rows] = await pool.query(
+      `SELECT user_id, access_token, refresh_token, token_key_id FROM strava_accounts WHERE ${where}`,
+      mode === "migrate" ? [] : [activeKeyId]
+    );
+
+    let updated = 0;
+    for (const row of rows || []) {
+      const accessToken = cipher.decrypt(row.access_token, row.token_key_id);
+      const refreshToken = cipher.decrypt(row.refresh_token, row.token_key_id);
+      // Condition sur l'ancien token_key_id: une ligne reecrite entre-temps par l'API est laissee intacte
+      const [result] = await pool.query(
+        "UPDATE strava_accounts SET access_token = ?, refresh_token = ?, token_key_id = ? " +
+          "WHERE user_id = ? AND token_key_id <=> ? AND access_token = ?",
+        [cipher.encrypt(accessToken), cipher.encrypt(refreshToken), activeKeyId, row.user_id, row.token_key_id, row.access_token]
+      );
+      updated += result.affectedRows;
+    }
+
+    console.log(`${mode}: ${updated}/${(rows || []).length} compte(s) Strava chiffre(s) avec la cle ${activeKeyId}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("strava-tokens error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,191 @@
+// test/strava-stub.test.js
+// Smoke test du flux Strava en mode STRAVA_STUB=1 (aucun appel reseau):
+// connexion OAuth (exchange) => webhooks create / update / delete => sessions de l'utilisateur.
+// Demande une base MySQL NaTrack migree dediee aux tests: TEST_DB_NAME (+ DB_HOST, DB_PORT, DB_USER, DB_PASSWORD).
+// Sans TEST_DB_NAME le test est ignore. Les lignes creees (user admin de test, sessions, evenements) sont supprimees a la fin.
+//   TEST_DB_NAME=natrack_test npm test
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const crypto = require("node:crypto");
+const net = require("node:net");
+const path = require("node:path");
+const bcrypt = require("bcryptjs");
+const mysql = require("mysql2/promise");
+
+const DB_NAME = process.env.TEST_DB_NAME || "";
+const PASSWORD = "stub-password-123";
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Le worker d'evenements tourne en tache de fond: on attend l'etat attendu (5 s max)
+async function waitFor(check) {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    if (await check()) return true;
+    if (Date.now() > deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+function startApp(port) {
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "app.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_NAME,
+      NODE_ENV: "test",
+      STRAVA_STUB: "1",
+      JWT_SECRET: crypto.randomBytes(32).toString("hex"),
+      MAIL_TRANSPORT: "console",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  const ready = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`app.js n'a pas demarre:\n${output}`)), 15000);
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Listening on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`app.js arrete (code ${code}):\n${output}`));
+    });
+  });
+  return { child, ready };
+}
+
+test("Strava stub: exchange puis webhooks create / update / delete => sessions", { skip: !DB_NAME && "TEST_DB_NAME absent" }, async (t) => {
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || "localhost",
+    port: Number(process.env.DB_PORT || 3306),
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: DB_NAME,
+    connectionLimit: 2,
+  });
+  const userId = crypto.randomUUID();
+  const email = `strava-stub-${userId}@natrack.test`;
+  await pool.query(
+    "INSERT INTO users (id, email, name, role, password_hash, is_bot) VALUES (?, ?, ?, 'admin', ?, 0)",
+    [userId, email, `stub-${userId.slice(0, 8)}`, await bcrypt.hash(PASSWORD, 10)]
+  );
+
+  const port = await getFreePort();
+  const { child, ready } = startApp(port);
+  let athleteId = null;
+  t.after(async () => {
+    child.kill();
+    const cleanup = [
+      ["DELETE FROM strava_events WHERE owner_id = ?", [String(athleteId)]],
+      ["DELETE FROM strava_import_logs WHERE user_id = ?", [userId]],
+      ["DELETE FROM strava_accounts WHERE user_id = ?", [userId]],
+      ["DELETE FROM user_card_results WHERE user_id = ?", [userId]],
+      ["DELETE FROM user_player_card_results WHERE user_id = ?", [userId]],
+      ["DELETE FROM notifications WHERE user_id = ?", [userId]],
+      ["DELETE FROM refresh_tokens WHERE user_id = ?", [userId]],
+      ["DELETE FROM sessions WHERE user_id = ?", [userId]],
+      ["DELETE FROM users WHERE id = ?", [userId]],
+    ];
+    for (const [sql, params] of cleanup) await pool.query(sql, params).catch(() => {});
+    await pool.end();
+  });
+  await ready;
+
+  const base = `http://127.0.0.1:${port}`;
+  let token = null;
+  async function call(method, url, body) {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, data: text ? JSON.parse(text) : null };
+  }
+  async function findSession(activityId) {
+    const { status, data } = await call("GET", "/me/sessions");
+    assert.equal(status, 200);
+    return data.find((s) => String(s.strava_activity_id) === String(activityId)) || null;
+  }
+
+  const login = await call("POST", "/auth/login", { email, password: PASSWORD });
+  assert.equal(login.status, 200);
+  token = login.data.token;
+
+  // OAuth: en stub, /strava/connect renvoie directement l'URL de callback (code stub_<athlete_id> + state)
+  const connect = await call("GET", "/strava/connect");
+  assert.equal(connect.status, 200);
+  const params = new URL(connect.data.url).searchParams;
+  const exchange = await call("POST", "/strava/exchange", { code: params.get("code"), state: params.get("state") });
+  assert.equal(exchange.status, 200);
+  assert.equal(exchange.data.connected, true);
+  athleteId = exchange.data.athlete_id;
+
+  const subscription = await call("POST", "/admin/strava/subscription", { callback_url: `${base}/strava/webhook` });
+  assert.equal(subscription.status, 201);
+
+  // create
+  const created = await call("POST", "/admin/strava/stub/activities", {
+    athlete_id: athleteId,
+    type: "Run",
+    distance: 5000,
+    moving_time: 1500,
+    start_date_local: "2024-05-01T08:00:00Z",
+  });
+  assert.equal(created.status, 201);
+  const activityId = created.data.activity.id;
+  let session = null;
+  assert.ok(await waitFor(async () => (session = await findSession(activityId))), "session creee par le webhook create");
+  assert.equal(Number(session.distance), 5000);
+  assert.equal(session.type, "run");
+
+  // update
+  const updated = await call("PUT", `/admin/strava/stub/activities/${activityId}`, { distance: 7500 });
+  assert.equal(updated.status, 200);
+  assert.ok(
+    await waitFor(async () => Number((await findSession(activityId))?.distance) === 7500),
+    "distance mise a jour par le webhook update"
+  );
+
+  // Webhook non authentifie: mauvais subscription_id refuse, delete d'une activite toujours presente ignore
+  // (event_time ancien: le vrai delete du stub, plus recent, sera retraite)
+  const forged = { object_type: "activity", object_id: activityId, aspect_type: "delete", owner_id: athleteId, event_time: 1 };
+  const rejected = await call("POST", "/strava/webhook", { ...forged, subscription_id: subscription.data.id + 1 });
+  assert.equal(rejected.status, 403);
+  const ignored = await call("POST", "/strava/webhook", { ...forged, subscription_id: subscription.data.id });
+  assert.equal(ignored.status, 200);
+  const processed = await waitFor(async () => {
+    const [rows] = await pool.query(
+      "SELECT status FROM strava_events WHERE object_type = 'activity' AND object_id = ? AND aspect_type = 'delete'",
+      [String(activityId)]
+    );
+    return rows?.[0]?.status === "done";
+  });
+  assert.ok(processed, "evenement delete traite");
+  assert.ok(await findSession(activityId), "session gardee: l'activite existe encore chez Strava");
+
+  // delete
+  const deleted = await call("DELETE", `/admin/strava/stub/activities/${activityId}`);
+  assert.equal(deleted.status, 200);
+  assert.ok(await waitFor(async () => (await findSession(activityId)) === null), "session supprimee");
+});